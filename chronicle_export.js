@@ -0,0 +1,262 @@
+/**
+ * CHRONICLE EXPORT - Transcripts for Sharing and Archiving
+ * Renders chronicles as a self-contained HTML page, a versioned JSON document or Markdown
+ * (PDF is the HTML page printed by Electron, see printHtmlToPdf in main.js)
+ *
+ * Features:
+ * - Per-message timestamps, models, search sources (relevance + security verdict),
+ *   files proposed through the Eigen protocol and the thought log
+ * - JSON keeps the whole conversation tree; HTML and Markdown show the active branch
+ * - Several chronicles in one file for date-range exports
+ */
+
+import { Marked } from 'marked';
+
+export const EXPORT_SCHEMA = 'priyah.chronicles';
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+    html: { name: 'HTML transcript', extension: 'html' },
+    pdf: { name: 'PDF', extension: 'pdf' },
+    json: { name: 'JSON', extension: 'json' },
+    md: { name: 'Markdown', extension: 'md' }
+};
+
+const SHIELDS = { safe: '✅', caution: '⚠️', danger: '❌' };
+
+// Also the main process's escaper for thought-log HTML
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Thought details are HTML from sendThought (<br>, memory links, escaped text): reduce to plain text
+function thoughtText(html) {
+    return String(html ?? '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Raw HTML inside a message is shown as text, never rendered
+const markdown = new Marked({
+    breaks: true,
+    gfm: true,
+    renderer: {
+        html(html) {
+            return escapeHtml(typeof html === 'string' ? html : html.text);
+        }
+    }
+});
+
+function formatTime(value) {
+    if (!value) return '';
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? '' : d.toLocaleString();
+}
+
+function senderLabel(sender) {
+    return sender === 'user' ? 'User' : sender === 'ai' ? 'Priyah' : String(sender || '').toUpperCase();
+}
+
+function shieldFor(security) {
+    if (!security) return '';
+    return security.trusted ? '🛡️' : (SHIELDS[security.verdict] || '❔');
+}
+
+/**
+ * A stored message in export form (meta flattened, time as ISO)
+ */
+export function exportMessage(m) {
+    const meta = m.meta || {};
+    return {
+        id: m.id || null,
+        parent: m.parent ?? null,
+        sender: m.sender,
+        text: m.text,
+        time: m.time ? new Date(m.time).toISOString() : null,
+        ...(m.interrupted ? { interrupted: true } : {}),
+        ...(meta.models ? { models: meta.models } : {}),
+        ...(meta.modes ? { modes: meta.modes } : {}),
+        ...(meta.sources ? { sources: meta.sources } : {}),
+        ...(meta.files ? { files: meta.files } : {}),
+        ...(meta.thoughts ? { thoughts: meta.thoughts } : {})
+    };
+}
+
+/**
+ * Versioned JSON document
+ * @param {Array} chronicles - Chronicle files as stored
+ * @param {Object} options - { range: { from, to } } for bulk exports
+ */
+export function toJSON(chronicles, { range = null } = {}) {
+    return JSON.stringify({
+        schema: EXPORT_SCHEMA,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        range,
+        chronicles: chronicles.map(c => ({
+            id: c.id,
+            name: c.name,
+            date: c.date,
+            updated: c.updated || null,
+            summary: c.summary || '',
+            keywords: c.keywords || [],
+            branchPoints: c.branchPoints || 0,
+            messages: (c.messages || []).map(exportMessage),
+            branches: (c.branches || []).map(exportMessage)
+        }))
+    }, null, 2);
+}
+
+/**
+ * Markdown transcript of the active branch
+ */
+export function toMarkdown(chronicles) {
+    return chronicles.map(c => {
+        const head = [
+            `# ${c.name || 'Untitled'}`,
+            '',
+            `Started: ${formatTime(c.date)}` + (c.updated ? ` · Updated: ${formatTime(c.updated)}` : ''),
+            c.branchPoints ? `Branch points: ${c.branchPoints} (only the active branch is shown)` : null
+        ].filter(l => l !== null).join('\n');
+
+        const body = (c.messages || []).map(m => {
+            const meta = m.meta || {};
+            const lines = [
+                `## ${senderLabel(m.sender).toUpperCase()}${m.interrupted ? ' (interrupted)' : ''}${m.time ? ` · ${formatTime(m.time)}` : ''}`,
+                '',
+                m.text
+            ];
+            if (meta.models?.length) lines.push('', `_Model: ${meta.models.join(', ')}_`);
+            if (meta.sources?.length) {
+                lines.push('', '**Sources**', ...meta.sources.map(s =>
+                    `- ${shieldFor(s.security)} [${s.title || s.url}](${s.url}) · ${s.relevance}%${s.security ? ` · ${s.security.verdict}` : ''}`
+                ));
+            }
+            if (meta.files?.length) lines.push('', '**Files proposed**', ...meta.files.map(f => `- \`${f}\``));
+            return lines.join('\n') + '\n';
+        }).join('\n---\n\n');
+
+        return `${head}\n\nExported: ${new Date().toLocaleString()}\n\n---\n\n${body}`;
+    }).join('\n\n\n');
+}
+
+function renderMeta(meta, { expand }) {
+    const parts = [];
+
+    if (meta.models?.length) {
+        parts.push(`<div class="meta-line">Model: ${meta.models.map(escapeHtml).join(', ')}</div>`);
+    }
+
+    if (meta.sources?.length) {
+        parts.push(`<div class="meta-block"><div class="meta-title">Sources</div><ul>` + meta.sources.map(s => {
+            const flags = s.security?.flags?.length ? ` <span class="flags">(${s.security.flags.map(escapeHtml).join('; ')})</span>` : '';
+            return `<li>${shieldFor(s.security)} <a href="${escapeHtml(s.url)}">${escapeHtml(s.title || s.url)}</a>` +
+                ` <span class="pill">${escapeHtml(s.relevance)}%</span>` +
+                (s.security ? ` <span class="pill verdict-${escapeHtml(s.security.verdict)}">${s.security.trusted ? 'trusted' : escapeHtml(s.security.verdict)}</span>` : '') +
+                `${flags}</li>`;
+        }).join('') + `</ul></div>`);
+    }
+
+    if (meta.files?.length) {
+        parts.push(`<div class="meta-block"><div class="meta-title">Files proposed</div><ul>` +
+            meta.files.map(f => `<li><code>${escapeHtml(f)}</code></li>`).join('') + `</ul></div>`);
+    }
+
+    if (meta.thoughts?.length) {
+        parts.push(`<details class="thoughts"${expand ? ' open' : ''}><summary>Thoughts (${meta.thoughts.length})</summary><ol>` +
+            meta.thoughts.map(t => `<li><strong>${escapeHtml(t.step)}</strong><div class="thought-detail">${escapeHtml(thoughtText(t.detail))}</div></li>`).join('') +
+            `</ol></details>`);
+    }
+
+    return parts.length ? `<div class="meta">${parts.join('')}</div>` : '';
+}
+
+function renderChronicle(c, index, { expand }) {
+    const messages = (c.messages || []).map(m => `
+        <div class="msg ${m.sender === 'user' ? 'user' : 'ai'}${m.interrupted ? ' interrupted' : ''}">
+            <div class="msg-head"><span class="who">${escapeHtml(senderLabel(m.sender))}</span><span class="when">${escapeHtml(formatTime(m.time))}</span></div>
+            <div class="msg-body">${markdown.parse(String(m.text || ''))}</div>
+            ${m.interrupted ? '<div class="note">Interrupted</div>' : ''}
+            ${renderMeta(m.meta || {}, { expand })}
+        </div>`).join('');
+
+    return `
+    <section class="chronicle" id="chronicle-${index}">
+        <h1>${escapeHtml(c.name || 'Untitled')}</h1>
+        <div class="chronicle-meta">
+            Started ${escapeHtml(formatTime(c.date))}${c.updated ? ` · Updated ${escapeHtml(formatTime(c.updated))}` : ''}
+            · ${(c.messages || []).length} messages
+            ${c.branchPoints ? `· ${c.branchPoints} branch point${c.branchPoints === 1 ? '' : 's'} (active branch shown)` : ''}
+        </div>
+        ${messages}
+    </section>`;
+}
+
+/**
+ * Self-contained HTML transcript (no scripts, no external resources)
+ * @param {Object} options - { title, expand } - expand opens the thought logs (used for PDF)
+ */
+export function toHTML(chronicles, { title = null, expand = false } = {}) {
+    const docTitle = title || (chronicles.length === 1 ? chronicles[0].name : `${chronicles.length} chronicles`) || 'Chronicle';
+    const toc = chronicles.length > 1
+        ? `<nav class="toc"><h2>Chronicles</h2><ol>${chronicles.map((c, i) =>
+            `<li><a href="#chronicle-${i}">${escapeHtml(c.name || 'Untitled')}</a> <span class="when">${escapeHtml(formatTime(c.date))}</span></li>`
+        ).join('')}</ol></nav>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data: https:">
+<meta name="generator" content="Priyah">
+<title>${escapeHtml(docTitle)}</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1d1f24; background: #f6f5f1; margin: 0; padding: 32px; line-height: 1.55; }
+    main { max-width: 860px; margin: 0 auto; }
+    h1 { font-size: 1.5rem; margin: 0 0 4px; }
+    .chronicle { margin-bottom: 48px; }
+    .chronicle + .chronicle { page-break-before: always; }
+    .chronicle-meta, .when, .note, .meta-line, .flags { color: #6b6f78; font-size: 0.8rem; }
+    .chronicle-meta { margin-bottom: 20px; }
+    .toc { margin-bottom: 40px; }
+    .msg { background: #fff; border: 1px solid #e2e0d8; border-left: 3px solid #8b7bd8; border-radius: 6px; padding: 12px 16px; margin: 12px 0; page-break-inside: avoid; }
+    .msg.user { border-left-color: #3c9d8f; }
+    .msg.interrupted { border-style: dashed; }
+    .msg-head { display: flex; justify-content: space-between; margin-bottom: 6px; }
+    .who { font-weight: 600; font-size: 0.85rem; text-transform: uppercase; letter-spacing: 1px; }
+    pre { background: #f0eee8; padding: 10px; border-radius: 4px; overflow-x: auto; white-space: pre-wrap; }
+    code { font-family: "SF Mono", Consolas, monospace; font-size: 0.85em; }
+    .meta { border-top: 1px solid #eceae3; margin-top: 10px; padding-top: 8px; font-size: 0.85rem; }
+    .meta-title { font-weight: 600; font-size: 0.8rem; margin-top: 6px; }
+    .meta ul, .meta ol { margin: 4px 0; padding-left: 20px; }
+    .pill { display: inline-block; font-size: 0.7rem; padding: 0 6px; border-radius: 8px; background: #ecebf7; }
+    .verdict-safe { background: #e1f3e6; }
+    .verdict-caution { background: #fbf0d9; }
+    .verdict-danger { background: #f8dede; }
+    .thoughts summary { color: #6b6f78; font-size: 0.8rem; }
+    .thought-detail { white-space: pre-wrap; color: #4a4e57; font-size: 0.8rem; }
+    a { color: #5a4bb5; }
+    @media print { body { background: #fff; padding: 0; } }
+</style>
+</head>
+<body>
+<main>
+    ${toc}
+    ${chronicles.map((c, i) => renderChronicle(c, i, { expand })).join('')}
+    <footer class="chronicle-meta">Exported from Priyah · ${escapeHtml(new Date().toLocaleString())}</footer>
+</main>
+</body>
+</html>`;
+}
+
+export default toHTML;
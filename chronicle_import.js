@@ -0,0 +1,195 @@
+/**
+ * CHRONICLE IMPORT - Conversations from Other Chat Tools
+ * Converts exports into sessions that ChronicleStore.saveSession can write
+ *
+ * Supported:
+ * - ChatGPT conversations.json (Settings → Data controls → Export data)
+ * - Open WebUI chat exports (a single chat or "Export All Chats")
+ *
+ * Features:
+ * - Original timestamps for the conversation and every message
+ * - Both tools keep conversations as trees: edits and regenerations come across as branches,
+ *   and the branch that was open in the original tool stays active
+ * - System, tool and hidden messages are dropped; their replies attach to the nearest kept message
+ */
+
+const ROLES = { user: 'user', assistant: 'ai' };
+
+/**
+ * Epoch seconds, milliseconds, microseconds or nanoseconds (or a date string) to milliseconds
+ */
+export function toMillis(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string' && isNaN(Number(value))) {
+        const t = new Date(value).getTime();
+        return isNaN(t) ? null : t;
+    }
+    const n = Number(value);
+    if (!isFinite(n) || n <= 0) return null;
+    if (n < 1e11) return Math.round(n * 1000);
+    if (n < 1e14) return Math.round(n);
+    if (n < 1e17) return Math.round(n / 1000);
+    return Math.round(n / 1e6);
+}
+
+/**
+ * 'chatgpt', 'openwebui' or null
+ */
+export function detectFormat(data) {
+    const sample = Array.isArray(data) ? data[0] : data;
+    if (!sample || typeof sample !== 'object') return null;
+    if (sample.mapping && typeof sample.mapping === 'object') return 'chatgpt';
+    if (sample.chat?.history || sample.chat?.messages || sample.history?.messages) return 'openwebui';
+    return null;
+}
+
+/**
+ * Turn raw tree nodes into a session
+ * @param {Object} conv - { title, created, current, nodes: [{ id, parent, role, text, time }] }
+ */
+function buildSession({ title, created, current, nodes }) {
+    const raw = new Map(nodes.map(n => [n.id, n]));
+    const kept = nodes.filter(n => ROLES[n.role] && n.text.trim());
+    const keptIds = new Set(kept.map(n => n.id));
+
+    // Nearest kept ancestor (skips system prompts, tool calls and empty roots)
+    const keptAncestor = (id) => {
+        const seen = new Set();
+        let node = raw.get(id);
+        while (node && !keptIds.has(node.id) && !seen.has(node.id)) {
+            seen.add(node.id);
+            node = raw.get(node.parent);
+        }
+        return node && keptIds.has(node.id) ? String(node.id) : null;
+    };
+
+    const converted = kept.map(n => ({
+        id: String(n.id),
+        parent: n.parent == null ? null : keptAncestor(n.parent),
+        sender: ROLES[n.role],
+        text: n.text,
+        ...(n.time ? { time: n.time } : {})
+    }));
+    if (converted.length === 0) return null;
+
+    const byId = new Map(converted.map(n => [n.id, n]));
+    const leaf = (current != null && keptAncestor(current)) || converted[converted.length - 1].id;
+
+    const history = [];
+    for (let node = byId.get(leaf); node && !history.includes(node); node = byId.get(node.parent)) {
+        history.unshift(node);
+    }
+
+    const times = converted.map(n => n.time).filter(Boolean);
+    const start = toMillis(created) || (times.length ? Math.min(...times) : null);
+    if (!start) return null;
+
+    return {
+        timestamp: new Date(start).toISOString(),
+        name: String(title || '').trim() || history[0].text.substring(0, 30),
+        history,
+        nodes: converted,
+        leaf
+    };
+}
+
+function chatGPTText(message) {
+    const content = message.content || {};
+    if (Array.isArray(content.parts)) {
+        // Non-string parts are images, files and other attachments
+        return content.parts.filter(p => typeof p === 'string').join('\n');
+    }
+    return typeof content.text === 'string' ? content.text : '';
+}
+
+/**
+ * One conversation from ChatGPT's conversations.json
+ */
+export function fromChatGPT(conv) {
+    const nodes = Object.entries(conv.mapping || {}).map(([key, entry]) => {
+        const message = entry.message;
+        const hidden = !message ||
+            message.metadata?.is_visually_hidden_from_conversation ||
+            (message.recipient && message.recipient !== 'all') ||
+            !['text', 'multimodal_text'].includes(message.content?.content_type);
+
+        return {
+            id: entry.id || key,
+            parent: entry.parent ?? null,
+            role: hidden ? null : message.author?.role,
+            text: hidden ? '' : chatGPTText(message),
+            time: message?.create_time ? toMillis(message.create_time) : null
+        };
+    });
+
+    return buildSession({
+        title: conv.title,
+        created: conv.create_time,
+        current: conv.current_node,
+        nodes
+    });
+}
+
+/**
+ * One chat from an Open WebUI export (the export wraps it as { chat, created_at, ... })
+ */
+export function fromOpenWebUI(item) {
+    const chat = item.chat || item;
+    const history = chat.history || {};
+
+    let messages = history.messages ? Object.values(history.messages) : (chat.messages || []);
+    let current = history.currentId;
+
+    // Older exports only have a flat list
+    if (!history.messages) {
+        let prev = null;
+        messages = messages.map((m, i) => {
+            const msg = { ...m, id: m.id ?? `m${i}`, parentId: m.parentId !== undefined ? m.parentId : prev };
+            prev = msg.id;
+            return msg;
+        });
+        current = prev;
+    }
+
+    const nodes = messages.map(m => ({
+        id: m.id,
+        parent: m.parentId ?? null,
+        role: m.role,
+        text: typeof m.content === 'string' ? m.content : '',
+        time: toMillis(m.timestamp)
+    }));
+
+    return buildSession({
+        title: item.title || chat.title,
+        created: item.created_at ?? chat.timestamp,
+        current,
+        nodes
+    });
+}
+
+/**
+ * Parse a whole export file
+ * @returns {{ format: string, sessions: Array, skipped: number }}
+ */
+export function parseExport(data) {
+    const format = detectFormat(data);
+    if (!format) throw new Error('Unrecognized export format (expected ChatGPT conversations.json or an Open WebUI export)');
+
+    const convert = format === 'chatgpt' ? fromChatGPT : fromOpenWebUI;
+    const sessions = [];
+    let skipped = 0;
+
+    for (const conv of Array.isArray(data) ? data : [data]) {
+        try {
+            const session = conv && convert(conv);
+            if (session) sessions.push(session);
+            else skipped++;
+        } catch (e) {
+            skipped++;
+        }
+    }
+
+    return { format, sessions, skipped };
+}
+
+export default parseExport;
@@ -0,0 +1,223 @@
+/**
+ * CHRONICLE SEARCH - Full-Text Search across the Memory Palace
+ * Keeps every chronicle in memory so queries never touch the disk
+ *
+ * Features:
+ * - Quoted "exact phrases" plus loose terms (all must match within one message)
+ * - Date range filter
+ * - Snippets with highlight ranges
+ * - Lazy refresh: files added, removed or changed outside the app are picked up
+ *   at most every 30 seconds (by mtime/size); in-app writes are pushed in through invalidate()
+ */
+
+import fs from 'fs/promises';
+
+const REFRESH_INTERVAL = 30000;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 220;
+
+/**
+ * Split a query into exact phrases and single terms (lowercased)
+ */
+export function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]+)"/g, (_, phrase) => {
+        const p = phrase.trim().toLowerCase();
+        if (p) phrases.push(p);
+        return ' ';
+    });
+    const terms = rest.toLowerCase().split(/\s+/).filter(t => t && t !== '"');
+    return { phrases, terms };
+}
+
+/**
+ * Chronicle Search Index
+ */
+export class ChronicleSearchIndex {
+    /**
+     * @param {Object} options
+     * @param {Function} options.listFiles - async () => string[] of chronicle paths
+     * @param {Function} options.readChronicle - async (path) => parsed chronicle
+     */
+    constructor(options = {}) {
+        this.listFiles = options.listFiles;
+        this.readChronicle = options.readChronicle || (async (p) => JSON.parse(await fs.readFile(p, 'utf-8')));
+        this.entries = new Map(); // path -> { mtimeMs, size, id, date, time, name, summary, keywords, messageCount, branchPoints, messages }
+        this.lastRefresh = 0;
+        this.refreshing = null;
+    }
+
+    async loadFile(filePath, stat = null) {
+        try {
+            stat = stat || await fs.stat(filePath);
+            const data = await this.readChronicle(filePath);
+            const messages = (data.messages || []).map(m => ({
+                sender: m.sender,
+                text: String(m.text || ''),
+                lower: String(m.text || '').toLowerCase()
+            }));
+            this.entries.set(filePath, {
+                mtimeMs: stat.mtimeMs,
+                size: stat.size,
+                id: data.id,
+                date: data.date,
+                time: new Date(data.date).getTime() || 0,
+                name: data.name,
+                summary: data.summary,
+                keywords: data.keywords || [],
+                messageCount: data.messageCount || messages.length,
+                branchPoints: data.branchPoints || 0,
+                messages
+            });
+        } catch (e) {
+            // Skip invalid files
+            this.entries.delete(filePath);
+        }
+    }
+
+    /**
+     * Pick up chronicles added, removed or changed outside the app
+     */
+    async refresh(force = false) {
+        if (!force && Date.now() - this.lastRefresh < REFRESH_INTERVAL) return;
+        if (this.refreshing) return this.refreshing;
+
+        this.refreshing = (async () => {
+            const files = await this.listFiles();
+            const present = new Set(files);
+
+            for (const known of this.entries.keys()) {
+                if (!present.has(known)) this.entries.delete(known);
+            }
+            for (const filePath of files) {
+                const stat = await fs.stat(filePath).catch(() => null);
+                if (!stat) {
+                    this.entries.delete(filePath);
+                    continue;
+                }
+                const known = this.entries.get(filePath);
+                if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) continue;
+                await this.loadFile(filePath, stat);
+            }
+            this.lastRefresh = Date.now();
+        })();
+
+        try {
+            await this.refreshing;
+        } finally {
+            this.refreshing = null;
+        }
+    }
+
+    /**
+     * Drop everything held in memory (vault lock); the next query reloads
+     */
+    clear() {
+        this.entries.clear();
+        this.lastRefresh = 0;
+    }
+
+    /**
+     * Re-read a chronicle the app just wrote
+     */
+    async invalidate(filePath) {
+        await this.loadFile(filePath);
+    }
+
+    /**
+     * Chronicle metadata, newest first (same shape as the memory index)
+     */
+    async list() {
+        await this.refresh();
+        return [...this.entries.entries()]
+            .map(([filePath, e]) => ({
+                id: e.id,
+                date: e.date,
+                name: e.name,
+                summary: e.summary,
+                keywords: e.keywords,
+                messageCount: e.messageCount,
+                branchPoints: e.branchPoints,
+                path: filePath
+            }))
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    /**
+     * Search message text
+     * @param {string} query - Terms and "quoted phrases"
+     * @param {Object} options - { from, to } as Date/ISO strings, limit
+     */
+    async search(query, { from = null, to = null, limit = 50 } = {}) {
+        await this.refresh();
+
+        const { phrases, terms } = parseQuery(query);
+        const needles = [...phrases, ...terms];
+        if (needles.length === 0) return { results: [], total: 0 };
+
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() : Infinity;
+
+        const chronicles = [...this.entries.entries()]
+            .filter(([, e]) => e.time >= fromTime && e.time <= toTime)
+            .sort((a, b) => b[1].time - a[1].time);
+
+        const results = [];
+        let total = 0;
+
+        for (const [filePath, entry] of chronicles) {
+            entry.messages.forEach((msg, messageIndex) => {
+                if (!needles.every(n => msg.lower.includes(n))) return;
+                total++;
+                if (results.length >= limit) return;
+
+                results.push({
+                    path: filePath,
+                    id: entry.id,
+                    name: entry.name,
+                    date: entry.date,
+                    messageIndex,
+                    sender: msg.sender,
+                    ...this.snippet(msg, needles)
+                });
+            });
+        }
+
+        return { results, total };
+    }
+
+    /**
+     * Cut a window around the first match and mark every needle inside it
+     */
+    snippet(msg, needles) {
+        const first = Math.min(...needles.map(n => msg.lower.indexOf(n)).filter(i => i >= 0));
+        const start = Math.max(0, first - SNIPPET_BEFORE);
+        const end = Math.min(msg.text.length, start + SNIPPET_LENGTH);
+
+        const prefix = start > 0 ? '…' : '';
+        const text = prefix + msg.text.substring(start, end).replace(/\s/g, ' ') + (end < msg.text.length ? '…' : '');
+        const lower = text.toLowerCase();
+
+        const ranges = [];
+        for (const n of needles) {
+            let i = lower.indexOf(n);
+            while (i >= 0) {
+                ranges.push([i, i + n.length]);
+                i = lower.indexOf(n, i + n.length);
+            }
+        }
+
+        // Merge overlapping ranges
+        ranges.sort((a, b) => a[0] - b[0]);
+        const highlights = [];
+        for (const r of ranges) {
+            const last = highlights[highlights.length - 1];
+            if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+            else highlights.push([...r]);
+        }
+
+        return { snippet: text, highlights };
+    }
+}
+
+export default ChronicleSearchIndex;
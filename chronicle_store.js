@@ -0,0 +1,309 @@
+/**
+ * CHRONICLE STORE - Session Storage for the Memory Palace
+ * One JSON file per session under chronicles/YYYY/MM/DD, kept in sync with the live session
+ *
+ * Features:
+ * - Per-session upserts: saving one chat never rewrites the others
+ * - Atomic writes (temp file + rename): a crash leaves the old file or the new one, never half of one
+ * - Writes to the same file are serialized
+ * - Conversation trees: `messages` is the active branch, `branches` holds the other
+ *   messages (each message carries an id and its parent's id)
+ * - One-time migration of the legacy priyah_memory.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Short summary from the first few user messages
+ */
+export function generateSummary(messages) {
+    if (!messages || messages.length === 0) return 'Empty session';
+    const userMsgs = messages.filter(m => m.sender === 'user').slice(0, 3);
+    return userMsgs.map(m => m.text.substring(0, 50)).join(' | ') || 'Chat session';
+}
+
+/**
+ * Top-10 most frequent words longer than four letters
+ */
+export function extractKeywords(messages) {
+    if (!messages) return [];
+    const text = messages.map(m => m.text).join(' ').toLowerCase();
+    const words = text.split(/\W+/).filter(w => w.length > 4);
+    const freq = {};
+    words.forEach(w => freq[w] = (freq[w] || 0) + 1);
+    return Object.entries(freq)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([word]) => word);
+}
+
+/**
+ * Write via a temp file in the same directory, then rename over the target
+ */
+export async function writeFileAtomic(filePath, data) {
+    const tmp = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+        await fs.writeFile(tmp, data);
+        await fs.rename(tmp, filePath);
+    } catch (e) {
+        await fs.unlink(tmp).catch(() => {});
+        throw e;
+    }
+}
+
+/**
+ * Number of messages that have more than one reply/edit under them
+ */
+export function countBranchPoints(nodes) {
+    const children = new Map();
+    for (const n of nodes) {
+        const key = n.parent ?? '';
+        children.set(key, (children.get(key) || 0) + 1);
+    }
+    return [...children.values()].filter(c => c > 1).length;
+}
+
+/**
+ * Session timestamps have been ISO strings and epoch numbers over time
+ */
+function toTimestamp(value) {
+    const d = new Date(value);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Chronicle Store
+ */
+export class ChronicleStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Chronicles root (CHRONICLES_DIR)
+     * @param {Object} options.codec - { encode, decode } applied to file contents (the Vault)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.codec = options.codec || { encode: t => t, decode: t => t };
+        this.locks = new Map(); // file path -> tail of its write queue
+    }
+
+    /**
+     * Serialize operations on one file
+     */
+    withLock(filePath, task) {
+        const prev = this.locks.get(filePath) || Promise.resolve();
+        const run = prev.then(task, task);
+        const tail = run.catch(() => {});
+        this.locks.set(filePath, tail);
+        tail.then(() => {
+            if (this.locks.get(filePath) === tail) this.locks.delete(filePath);
+        });
+        return run;
+    }
+
+    /**
+     * chronicles/YYYY/MM/DD/session_<ms>.json, dated by the session's start
+     */
+    pathForSession(timestamp) {
+        const d = new Date(timestamp);
+        const year = d.getFullYear();
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return path.join(this.dir, String(year), month, day, `session_${d.getTime()}.json`);
+    }
+
+    /**
+     * All chronicle files (year/month/day/*.json)
+     * @param {string} suffix - '.json.orphaned' lists the files set aside by migrateLegacy()
+     */
+    async listFiles(suffix = '.json') {
+        const result = [];
+        const years = await fs.readdir(this.dir).catch(() => []);
+
+        for (const year of years) {
+            if (!/^\d{4}$/.test(year)) continue;
+            const yearPath = path.join(this.dir, year);
+            const months = await fs.readdir(yearPath).catch(() => []);
+
+            for (const month of months) {
+                const monthPath = path.join(yearPath, month);
+                const days = await fs.readdir(monthPath).catch(() => []);
+
+                for (const day of days) {
+                    const dayPath = path.join(monthPath, day);
+                    const files = await fs.readdir(dayPath).catch(() => []);
+
+                    for (const file of files) {
+                        if (file.endsWith(suffix)) result.push(path.join(dayPath, file));
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Read and parse one chronicle file
+     */
+    async readChronicle(filePath) {
+        return JSON.parse(this.codec.decode(await fs.readFile(filePath, 'utf-8')));
+    }
+
+    /**
+     * Rewrite a file through the codec (encrypts or decrypts it in place)
+     */
+    async recodeFile(filePath) {
+        return await this.withLock(filePath, async () => {
+            let raw;
+            try {
+                raw = await fs.readFile(filePath, 'utf-8');
+            } catch (e) {
+                if (e.code === 'ENOENT') return false;
+                throw e;
+            }
+            const encoded = this.codec.encode(this.codec.decode(raw));
+            if (encoded === raw) return false;
+            await writeFileAtomic(filePath, encoded);
+            return true;
+        });
+    }
+
+    toChronicle(timestamp, name, messages, branches = []) {
+        return {
+            id: timestamp,
+            date: timestamp,
+            updated: new Date().toISOString(),
+            name: name || 'Untitled',
+            summary: generateSummary(messages),
+            keywords: extractKeywords(messages),
+            messageCount: messages.length,
+            branchPoints: countBranchPoints([...messages, ...branches]),
+            messages,
+            branches
+        };
+    }
+
+    /**
+     * Create or update the chronicle for a live session
+     * @param {Object} session - { timestamp, name, history, nodes } (history = active branch)
+     * @returns {{ path: string, chronicle: Object } | null}
+     */
+    async saveSession(session) {
+        const timestamp = toTimestamp(session?.timestamp);
+        const messages = session?.history || session?.messages || [];
+        if (!timestamp || messages.length === 0) return null;
+
+        // Everything in the tree that isn't on the active branch
+        const onPath = new Set(messages.map(m => m.id).filter(Boolean));
+        const branches = (session.nodes || []).filter(n => n.id && !onPath.has(n.id));
+
+        const filePath = this.pathForSession(timestamp);
+        const chronicle = this.toChronicle(timestamp, session.name, messages, branches);
+
+        await this.withLock(filePath, async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await writeFileAtomic(filePath, this.codec.encode(JSON.stringify(chronicle, null, 2)));
+        });
+
+        return { path: filePath, chronicle };
+    }
+
+    /**
+     * Remove a session's chronicle. Returns the removed path, or null if there was none.
+     */
+    async deleteSession(timestamp) {
+        const ts = toTimestamp(timestamp);
+        if (!ts) return null;
+
+        const filePath = this.pathForSession(ts);
+        return await this.withLock(filePath, async () => {
+            try {
+                await fs.unlink(filePath);
+                return filePath;
+            } catch (e) {
+                if (e.code === 'ENOENT') return null;
+                throw e;
+            }
+        });
+    }
+
+    /**
+     * All chronicles as renderer sessions, newest first
+     */
+    async loadSessions() {
+        const sessions = [];
+
+        for (const filePath of await this.listFiles()) {
+            try {
+                const data = await this.readChronicle(filePath);
+                const timestamp = toTimestamp(data.id ?? data.date);
+                if (!timestamp || !Array.isArray(data.messages)) continue;
+                sessions.push({
+                    timestamp,
+                    name: data.name || 'Untitled',
+                    history: data.messages,
+                    nodes: [...data.messages, ...(data.branches || [])],
+                    leaf: data.messages[data.messages.length - 1]?.id || null
+                });
+            } catch (e) {
+                // Skip invalid files
+            }
+        }
+
+        sessions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        return sessions;
+    }
+
+    /**
+     * Merge the legacy memory file into chronicles, then rename it so this only runs once.
+     * A chronicle that already holds at least as many messages is left alone.
+     * The old app also copied every session into a chronicle and never removed it, so chronicles
+     * of sessions the legacy file no longer lists (deleted by the user) are renamed to
+     * *.json.orphaned: no longer loaded, but not destroyed.
+     * @returns {Promise<{ written, orphaned }>} null when there is no legacy file
+     * @throws when the legacy file exists but can't be read (it is left in place)
+     */
+    async migrateLegacy(memoryFile) {
+        let legacy;
+        try {
+            legacy = JSON.parse(this.codec.decode(await fs.readFile(memoryFile, 'utf-8')));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw new Error(`Legacy memory file unreadable, not migrating: ${e.message}`);
+        }
+
+        const sessions = Array.isArray(legacy) ? legacy : [];
+        const listed = new Set();
+        let written = 0;
+        for (const session of sessions) {
+            const timestamp = toTimestamp(session.timestamp);
+            if (timestamp) listed.add(this.pathForSession(timestamp));
+            const messages = session.history || session.messages || [];
+            if (!timestamp || messages.length === 0) continue;
+
+            const filePath = this.pathForSession(timestamp);
+            try {
+                const existing = await this.readChronicle(filePath);
+                if ((existing.messages || []).length >= messages.length) continue;
+            } catch (e) {
+                // No chronicle yet
+            }
+
+            await this.saveSession({ timestamp, name: session.name, history: messages });
+            written++;
+        }
+
+        let orphaned = 0;
+        for (const filePath of await this.listFiles()) {
+            if (listed.has(filePath) || !/^session_\d+\.json$/.test(path.basename(filePath))) continue;
+            await fs.rename(filePath, `${filePath}.orphaned`);
+            orphaned++;
+        }
+
+        await fs.rename(memoryFile, `${memoryFile}.migrated`);
+        return { written, orphaned };
+    }
+}
+
+export default ChronicleStore;
@@ -0,0 +1,180 @@
+/**
+ * CODE AGENT - The Scribe at Work
+ * A tool-calling loop for Code mode: the model lists, reads, edits, runs and searches
+ * until it has what it needs to answer
+ *
+ * Features:
+ * - Native tool calls where the backend supports them (Ollama "tools"),
+ *   a <TOOL name="...">{json}</TOOL> text protocol for every other model
+ * - Step limit; when it is reached the model must answer with what it has
+ * - Tool results are cut to a token share so the loop stays inside the context window
+ * - Every step is reported through onStep (shown in the thought bubble)
+ */
+
+import { estimateTokens, truncateToTokens } from './context_builder.js';
+
+const TOOL_TAG_REGEX = /<TOOL\s+name="([\w-]+)"\s*>([\s\S]*?)<\/TOOL>/g;
+
+/**
+ * Tool definitions in the Ollama/OpenAI function format
+ * @param {Object} tools - name -> { description, parameters, run }
+ */
+export function toolSchemas(tools) {
+    return Object.entries(tools).map(([name, tool]) => ({
+        type: 'function',
+        function: { name, description: tool.description, parameters: tool.parameters }
+    }));
+}
+
+/**
+ * System prompt section for models without native tool calls
+ */
+export function describeToolsAsText(tools) {
+    const list = Object.entries(tools).map(([name, tool]) => {
+        const props = tool.parameters?.properties || {};
+        const required = new Set(tool.parameters?.required || []);
+        const args = Object.entries(props)
+            .map(([arg, spec]) => `${arg}${required.has(arg) ? '' : '?'}: ${spec.type} - ${spec.description || ''}`)
+            .join('; ');
+        return `- ${name}: ${tool.description}${args ? ` Arguments: { ${args} }` : ''}`;
+    }).join('\n');
+
+    return `TOOLS:
+${list}
+To use a tool, reply with one or more tags and nothing else, for example:
+<TOOL name="read_file">{"path": "src/index.js"}</TOOL>
+The arguments are a JSON object. Results arrive in the next message as [TOOL RESULT name].
+When you have what you need, answer normally without any <TOOL> tags.`;
+}
+
+/**
+ * Tool calls written in the text protocol
+ * @returns {Array} { name, arguments } - arguments is null when the JSON doesn't parse
+ */
+export function parseToolCalls(text) {
+    const calls = [];
+    for (const m of String(text || '').matchAll(TOOL_TAG_REGEX)) {
+        let args = {};
+        const body = m[2].trim().replace(/^```\w*\n?|```$/g, '').trim();
+        if (body) {
+            try {
+                args = JSON.parse(body);
+            } catch (e) {
+                args = null;
+            }
+        }
+        calls.push({ name: m[1], arguments: args });
+    }
+    return calls;
+}
+
+export function stripToolCalls(text) {
+    return String(text || '').replace(TOOL_TAG_REGEX, '').trim();
+}
+
+function formatResult(result) {
+    if (typeof result === 'string') return result;
+    return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Code Agent
+ */
+export class CodeAgent {
+    /**
+     * @param {Object} options
+     * @param {Object} options.tools - name -> { description, parameters (JSON schema), run: async (args, { signal }) => string|Object }
+     * @param {Function} options.chat - async (messages, { tools, signal }) => { content, toolCalls: [{ name, arguments }] }
+     *                                  tools is the schema list for native calls, null in text mode
+     * @param {Function} options.onStep - (step, { tool, args, result, error }) progress callback
+     * @param {number} options.maxSteps - Tool rounds before the model must answer
+     */
+    constructor(options = {}) {
+        this.tools = options.tools || {};
+        this.chat = options.chat;
+        this.onStep = options.onStep || (() => {});
+        this.maxSteps = Math.max(1, options.maxSteps || 8);
+    }
+
+    async runTool(call, signal) {
+        const tool = this.tools[call.name];
+        if (!tool) return { error: `Unknown tool "${call.name}". Available: ${Object.keys(this.tools).join(', ')}` };
+        if (call.arguments === null || typeof call.arguments !== 'object') {
+            return { error: 'Arguments must be a JSON object' };
+        }
+        try {
+            return { result: formatResult(await tool.run(call.arguments, { signal })) };
+        } catch (e) {
+            if (signal?.aborted) throw e;
+            return { error: e.message };
+        }
+    }
+
+    /**
+     * Run the loop
+     * @param {Array} messages - Chat messages (system prompt first)
+     * @param {Object} options
+     * @param {boolean} options.native - Use native tool calls
+     * @param {number} options.budget - Tokens the loop may add to the conversation
+     * @param {AbortSignal} options.signal
+     * @returns {Promise<{ response: string, steps: number }>}
+     */
+    async run(messages, { native = false, budget = 8192, signal = null } = {}) {
+        const convo = [...messages];
+        const schemas = native ? toolSchemas(this.tools) : null;
+        if (!native) {
+            const [system, ...rest] = convo;
+            convo.splice(0, convo.length,
+                { ...system, content: `${system.content}\n\n${describeToolsAsText(this.tools)}` },
+                ...rest);
+        }
+
+        let free = budget;
+        let steps = 0;
+
+        for (;;) {
+            signal?.throwIfAborted();
+            const lastRound = steps >= this.maxSteps || free < 512;
+            if (lastRound && steps > 0) {
+                convo.push({ role: 'user', content: '[SYSTEM] Tool limit reached. Answer now with what you have, without using tools.' });
+            }
+
+            const reply = await this.chat(convo, { tools: lastRound ? null : schemas, signal });
+            const content = reply.content || '';
+            const calls = lastRound ? [] : (native ? reply.toolCalls || [] : parseToolCalls(content));
+            free -= estimateTokens(content);
+
+            if (calls.length === 0) {
+                return { response: native ? content : stripToolCalls(content), steps };
+            }
+
+            steps++;
+            // Each result gets its share of what's left
+            const share = Math.max(256, Math.floor(free * 0.6 / calls.length));
+
+            if (native) {
+                convo.push({
+                    role: 'assistant',
+                    content,
+                    tool_calls: calls.map(c => ({ function: { name: c.name, arguments: c.arguments || {} } }))
+                });
+            } else {
+                convo.push({ role: 'assistant', content });
+            }
+
+            const results = [];
+            for (const call of calls) {
+                const outcome = await this.runTool(call, signal);
+                const text = truncateToTokens(outcome.error ? `Error: ${outcome.error}` : outcome.result, share);
+                free -= estimateTokens(text);
+                this.onStep(steps, { tool: call.name, args: call.arguments, result: outcome.result, error: outcome.error });
+
+                if (native) convo.push({ role: 'tool', tool_name: call.name, content: text });
+                else results.push(`[TOOL RESULT ${call.name}]\n${text}`);
+            }
+            if (!native) convo.push({ role: 'user', content: results.join('\n\n') });
+        }
+    }
+}
+
+export default CodeAgent;
@@ -0,0 +1,630 @@
+/**
+ * CODE KERNELS - Persistent REPLs for Chat Code Blocks
+ * One Node and one Python process per chat session, so variables and imports survive between cells
+ *
+ * Features:
+ * - Runs inside the code sandbox (same isolation and policy as execute-code; no CPU-time limit,
+ *   each cell is bounded by the timeout instead)
+ * - Rich output: the last expression's value, tables (arrays of objects, pandas DataFrames, console.table),
+ *   images (data:image/... lines on stdout, display(), matplotlib figures) and stderr kept apart
+ * - Interrupt (SIGINT to the interpreter), restart, and shutdown per session
+ *
+ * Protocol: requests as JSON lines on the kernel's stdin, replies as JSON lines on fd 3,
+ * so nothing the user's code prints can be mistaken for a reply.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import { createRequire } from 'module';
+import os from 'os';
+import path from 'path';
+
+const START_TIMEOUT_MS = 15000;
+const INTERRUPT_GRACE_MS = 3000;
+const MAX_TABLE_ROWS = 200;
+const IMAGE_LINE = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+const PYTHON_DRIVER = String.raw`
+import ast, base64, contextlib, io, json, os, signal, sys, traceback
+os.environ.setdefault('MPLBACKEND', 'Agg')
+_proto = os.fdopen(3, 'w', buffering=1)
+_MAX = int(os.environ.get('KERNEL_MAX_OUTPUT', '1048576'))
+_ROWS = ${MAX_TABLE_ROWS}
+_ns = {'__name__': '__main__'}
+_displays = []
+
+def _table(obj):
+    try:
+        import pandas as pd
+        if isinstance(obj, pd.DataFrame):
+            head = obj.head(_ROWS)
+            return {'type': 'table', 'columns': [str(c) for c in head.columns],
+                    'rows': [[str(v) for v in row] for row in head.itertuples(index=False)], 'total': len(obj)}
+    except Exception:
+        pass
+    if isinstance(obj, (list, tuple)) and obj and all(isinstance(r, dict) for r in obj[:_ROWS]):
+        cols = []
+        for r in obj[:_ROWS]:
+            cols += [k for k in r if k not in cols]
+        return {'type': 'table', 'columns': [str(c) for c in cols],
+                'rows': [[str(r.get(c, '')) for c in cols] for r in obj[:_ROWS]], 'total': len(obj)}
+    return None
+
+def display(obj):
+    table = _table(obj)
+    if table:
+        _displays.append(table)
+    elif isinstance(obj, str) and obj.startswith('data:image/'):
+        _displays.append({'type': 'image', 'src': obj})
+    else:
+        _displays.append({'type': 'text', 'text': obj if isinstance(obj, str) else repr(obj)})
+
+_ns['display'] = display
+
+def _figures():
+    plt = sys.modules.get('matplotlib.pyplot')
+    if not plt:
+        return
+    for num in plt.get_fignums():
+        buf = io.BytesIO()
+        plt.figure(num).savefig(buf, format='png', bbox_inches='tight')
+        _displays.append({'type': 'image', 'src': 'data:image/png;base64,' + base64.b64encode(buf.getvalue()).decode()})
+    plt.close('all')
+
+def _run(code):
+    tree = ast.parse(code, '<cell>', 'exec')
+    last = None
+    if tree.body and isinstance(tree.body[-1], ast.Expr):
+        last = ast.Expression(tree.body.pop().value)
+    exec(compile(tree, '<cell>', 'exec'), _ns)
+    if last is not None:
+        value = eval(compile(last, '<cell>', 'eval'), _ns)
+        if value is not None:
+            _ns['_'] = value
+            return _table(value) or {'type': 'result', 'text': repr(value)}
+    return None
+
+def _format_error(e):
+    tb = e.__traceback__
+    while tb is not None and tb.tb_frame.f_code.co_filename != '<cell>':
+        tb = tb.tb_next
+    return ''.join(traceback.format_exception(type(e), e, tb))
+
+_proto.write(json.dumps({'ready': True, 'version': sys.version.split()[0]}) + '\n')
+while True:
+    try:
+        line = sys.stdin.readline()
+    except KeyboardInterrupt:
+        continue
+    if not line:
+        break
+    req = json.loads(line)
+    out, err = io.StringIO(), io.StringIO()
+    _displays.clear()
+    reply = {'id': req['id'], 'result': None, 'error': None, 'interrupted': False}
+    try:
+        with contextlib.redirect_stdout(out), contextlib.redirect_stderr(err):
+            reply['result'] = _run(req['code'])
+            _figures()
+    except KeyboardInterrupt:
+        reply['interrupted'] = True
+    except BaseException as e:
+        reply['error'] = _format_error(e)
+    reply.update(stdout=out.getvalue()[:_MAX], stderr=err.getvalue()[:_MAX], displays=list(_displays))
+    _proto.write(json.dumps(reply) + '\n')
+`;
+
+const NODE_DRIVER = String.raw`
+const vm = require('vm');
+const fs = require('fs');
+const util = require('util');
+const readline = require('readline');
+const { createRequire } = require('module');
+const acorn = require('./acorn.js');
+
+const MAX = parseInt(process.env.KERNEL_MAX_OUTPUT) || 1048576;
+const ROWS = ${MAX_TABLE_ROWS};
+const reply = (msg) => fs.writeSync(3, JSON.stringify(msg) + '\n');
+
+let cell = null; // { out, err, displays, interrupt }
+let late = '';   // errors from timers after their cell finished
+
+const append = (stream, text) => {
+    if (!cell) { late += text; return; }
+    if (cell[stream].length < MAX) cell[stream] += text;
+};
+const format = (args) => util.formatWithOptions({ colors: false, depth: 4 }, ...args) + '\n';
+
+function toTable(value) {
+    if (!Array.isArray(value) || value.length === 0) return null;
+    const rows = value.slice(0, ROWS);
+    if (!rows.every(r => r && typeof r === 'object')) return null;
+    const columns = [];
+    rows.forEach(r => Object.keys(r).forEach(k => { if (!columns.includes(k)) columns.push(k); }));
+    const show = (v) => typeof v === 'string' ? v : util.inspect(v, { depth: 1, breakLength: Infinity });
+    return { type: 'table', columns, rows: rows.map(r => columns.map(c => (c in r ? show(r[c]) : ''))), total: value.length };
+}
+
+function display(value) {
+    if (!cell) return;
+    const table = toTable(value);
+    if (table) cell.displays.push(table);
+    else if (typeof value === 'string' && value.startsWith('data:image/')) cell.displays.push({ type: 'image', src: value });
+    else cell.displays.push({ type: 'text', text: typeof value === 'string' ? value : util.inspect(value, { depth: 4 }) });
+}
+
+const cellConsole = {
+    log: (...a) => append('out', format(a)),
+    info: (...a) => append('out', format(a)),
+    debug: (...a) => append('out', format(a)),
+    dir: (v) => append('out', util.inspect(v, { depth: 4 }) + '\n'),
+    warn: (...a) => append('err', format(a)),
+    error: (...a) => append('err', format(a)),
+    table: (v) => display(v)
+};
+
+const context = vm.createContext({
+    console: cellConsole,
+    display,
+    require: createRequire(process.cwd() + '/'),
+    process, Buffer, URL, URLSearchParams, TextEncoder, TextDecoder, AbortController,
+    setTimeout, setInterval, setImmediate, clearTimeout, clearInterval, clearImmediate,
+    queueMicrotask, structuredClone, fetch: globalThis.fetch
+});
+
+process.on('uncaughtException', (e) => append('err', (e && e.stack) || String(e)));
+process.on('unhandledRejection', (e) => append('err', 'Unhandled rejection: ' + ((e && e.stack) || String(e))));
+// Sync code is stopped by breakOnSigint; this ends a cell that is waiting on a promise
+process.on('SIGINT', () => { if (cell) cell.interrupt(); });
+
+function cleanStack(e) {
+    if (!e || !e.stack) return String(e);
+    return e.stack.split('\n').filter(l => !/\(node:|kernel_driver|node:internal/.test(l)).join('\n');
+}
+
+// Names a declaration binds: a, { b, c: d = 1, ...e }, [f, ...g]
+function boundNames(pattern, names = []) {
+    if (!pattern) return names;
+    if (pattern.type === 'Identifier') names.push(pattern.name);
+    else if (pattern.type === 'ObjectPattern') pattern.properties.forEach(p => boundNames(p.type === 'RestElement' ? p.argument : p.value, names));
+    else if (pattern.type === 'ArrayPattern') pattern.elements.forEach(e => boundNames(e, names));
+    else if (pattern.type === 'RestElement') boundNames(pattern.argument, names);
+    else if (pattern.type === 'AssignmentPattern') boundNames(pattern.left, names);
+    return names;
+}
+
+const parse = (code, allowAwait) => acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', allowAwaitOutsideFunction: allowAwait });
+
+// Rewrites a cell's top-level statements, found by parsing it (so strings and template literals are left alone).
+// Top-level let/const/class become var, so a cell can be run again without "already declared".
+// Top-level await: the cell runs as an async function, which keeps declarations to itself; like Node's REPL,
+// they become assignments to context globals (declared beforehand), and the last expression is returned.
+function prepareCell(code) {
+    let ast;
+    let isAsync = false;
+    try {
+        ast = parse(code, false);
+    } catch (e) {
+        try {
+            ast = parse(code, true);
+            isAsync = true;
+        } catch (e2) {
+            // Let vm report the syntax error
+            return { source: code, names: [] };
+        }
+    }
+
+    const text = (node) => code.slice(node.start, node.end);
+    const edits = []; // [start, end, replacement]
+    const names = [];
+    const functions = [];
+    for (const node of ast.body) {
+        if (node.type === 'VariableDeclaration' && !isAsync) {
+            if (node.kind !== 'var') edits.push([node.start, node.start + node.kind.length, 'var']);
+        } else if (node.type === 'ClassDeclaration' && !isAsync) {
+            edits.push([node.start, node.end, 'var ' + node.id.name + ' = ' + text(node) + ';']);
+        } else if (node.type === 'VariableDeclaration') {
+            names.push(...node.declarations.flatMap(d => boundNames(d.id)));
+            const assignments = node.declarations
+                .filter(d => d.init || node.kind !== 'var')
+                .map(d => '(' + text(d.id) + ' = ' + (d.init ? text(d.init) : 'undefined') + ')');
+            edits.push([node.start, node.end, 'void (' + (assignments.join(', ') || '0') + ');']);
+        } else if (node.type === 'ClassDeclaration') {
+            names.push(node.id.name);
+            edits.push([node.start, node.end, 'void (' + node.id.name + ' = ' + text(node) + ');']);
+        } else if (node.type === 'FunctionDeclaration') {
+            // Hoisted within the cell; copied out at its start
+            functions.push(node.id.name);
+        }
+    }
+    const last = ast.body[ast.body.length - 1];
+    if (isAsync && last && last.type === 'ExpressionStatement') {
+        edits.push([last.start, last.end, 'return (' + text(last.expression) + ');']);
+    }
+
+    let source = code;
+    for (const [start, end, replacement] of edits.sort((a, b) => b[0] - a[0])) {
+        source = source.slice(0, start) + replacement + source.slice(end);
+    }
+    if (isAsync) source = '(async () => { ' + functions.map(f => 'globalThis.' + f + ' = ' + f + ';').join(' ') + '\n' + source + '\n})()';
+    return { source, names: [...new Set(names)] };
+}
+
+async function run(code) {
+    const { source, names } = prepareCell(code);
+    const script = new vm.Script(source, { filename: 'cell.js' });
+    if (names.length) vm.runInContext('var ' + names.join(', ') + ';', context);
+    let value = script.runInContext(context, { breakOnSigint: true, displayErrors: false });
+    if (value && typeof value.then === 'function') {
+        value = await Promise.race([value, new Promise((_, reject) => { cell.interrupt = () => reject(new Error('__interrupted__')); })]);
+    }
+    return value;
+}
+
+reply({ ready: true, version: process.version });
+
+const rl = readline.createInterface({ input: process.stdin });
+let chain = Promise.resolve();
+rl.on('line', (line) => {
+    chain = chain.then(async () => {
+        const req = JSON.parse(line);
+        cell = { out: '', err: late, displays: [], interrupt: () => {} };
+        late = '';
+        const msg = { id: req.id, result: null, error: null, interrupted: false };
+        try {
+            const value = await run(req.code);
+            if (value !== undefined) {
+                context._ = value;
+                msg.result = toTable(value) || { type: 'result', text: util.inspect(value, { depth: 4 }) };
+            }
+        } catch (e) {
+            if ((e && e.message === '__interrupted__') || (e && e.code === 'ERR_SCRIPT_EXECUTION_INTERRUPTED')) msg.interrupted = true;
+            else msg.error = cleanStack(e);
+        }
+        Object.assign(msg, { stdout: cell.out, stderr: cell.err, displays: cell.displays });
+        cell = null;
+        reply(msg);
+    });
+});
+rl.on('close', () => process.exit(0));
+`;
+
+// The Node driver parses cells with acorn, copied next to it (the sandbox sees only the scratch dir)
+const ACORN_PATH = createRequire(import.meta.url).resolve('acorn');
+
+const KERNEL_SPECS = {
+    javascript: { command: 'node', kind: 'node', driver: 'kernel_driver.js', source: NODE_DRIVER, files: { 'acorn.js': ACORN_PATH } },
+    python: { command: 'python3', kind: 'python', driver: 'kernel_driver.py', source: PYTHON_DRIVER }
+};
+
+const LANGUAGE_ALIASES = { js: 'javascript', javascript: 'javascript', node: 'javascript', py: 'python', python: 'python', python3: 'python' };
+
+/**
+ * Kernel language for a code block language, or null
+ */
+export function kernelLanguage(language) {
+    return LANGUAGE_ALIASES[String(language || '').toLowerCase()] || null;
+}
+
+/**
+ * Pull data:image lines out of printed output
+ */
+function extractImages(text) {
+    const images = [];
+    const rest = text.split('\n').filter(line => {
+        if (!IMAGE_LINE.test(line.trim())) return true;
+        images.push({ type: 'image', src: line.trim() });
+        return false;
+    });
+    return { text: rest.join('\n'), images };
+}
+
+// Linux: the interpreter is a descendant of the sandbox wrappers (bwrap, unshare, sh)
+async function findInterpreterPid(rootPid, exe) {
+    if (process.platform !== 'linux') return rootPid;
+    const queue = [rootPid];
+    while (queue.length > 0) {
+        const pid = queue.shift();
+        try {
+            if (await fs.readlink(`/proc/${pid}/exe`) === exe) return pid;
+        } catch (e) {
+            // Gone, or not ours to inspect
+        }
+        try {
+            const children = await fs.readFile(`/proc/${pid}/task/${pid}/children`, 'utf-8');
+            queue.push(...children.trim().split(/\s+/).filter(Boolean).map(Number));
+        } catch (e) {
+            // No children file (old kernel) - fall back to the root
+        }
+    }
+    return rootPid;
+}
+
+class Kernel {
+    constructor({ language, sandbox, projectPath, policy, onStatus }) {
+        this.language = language;
+        this.spec = KERNEL_SPECS[language];
+        this.sandbox = sandbox;
+        this.projectPath = projectPath;
+        this.policy = policy;
+        this.onStatus = onStatus;
+
+        this.child = null;
+        this.scratch = null;
+        this.exe = null;
+        this.status = 'starting';
+        this.executionCount = 0;
+        this.pending = null; // { id, resolve, reject, raw: { stdout, stderr }, timer }
+        this.nextId = 1;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.onStatus(status);
+    }
+
+    async start() {
+        const info = await this.sandbox.resolveInterpreter(this.spec.command, this.spec.kind);
+        if (!info) throw new Error(`${this.spec.command} is not installed`);
+        this.exe = info.exe;
+
+        this.scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'priyah_kernel_'));
+        const driverPath = path.join(this.scratch, this.spec.driver);
+        await fs.writeFile(driverPath, this.spec.source, 'utf-8');
+        for (const [name, from] of Object.entries(this.spec.files || {})) {
+            await fs.writeFile(path.join(this.scratch, name), await fs.readFile(from));
+        }
+
+        const { argv, env, cwd, level } = await this.sandbox.prepare(
+            { ...info, kind: this.spec.kind, args: [driverPath] },
+            { scratch: this.scratch, projectPath: this.projectPath, policy: this.policy, cpuLimit: false }
+        );
+        this.level = level;
+
+        this.child = spawn(argv[0], argv.slice(1), {
+            cwd,
+            env: { ...env, KERNEL_MAX_OUTPUT: String(this.policy.maxOutput) },
+            stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+        });
+
+        // Output that bypasses the driver's capture (subprocesses, raw writes) goes to the running cell
+        this.child.stdout.on('data', (d) => { if (this.pending) this.pending.raw.stdout += d; });
+        this.child.stderr.on('data', (d) => { if (this.pending) this.pending.raw.stderr += d; });
+
+        let buffer = '';
+        let readyResolve;
+        const ready = new Promise((resolve) => { readyResolve = resolve; });
+        this.child.stdio[3].on('data', (chunk) => {
+            buffer += chunk;
+            let idx;
+            while ((idx = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, idx);
+                buffer = buffer.slice(idx + 1);
+                let msg;
+                try {
+                    msg = JSON.parse(line);
+                } catch (e) {
+                    continue;
+                }
+                if (msg.ready) {
+                    this.version = msg.version;
+                    readyResolve(true);
+                } else {
+                    this.settle(msg);
+                }
+            }
+        });
+
+        this.child.on('exit', (code, signal) => {
+            readyResolve(false);
+            const wasPending = this.pending;
+            this.child = null;
+            this.setStatus('dead');
+            if (wasPending) {
+                clearTimeout(wasPending.timer);
+                this.pending = null;
+                wasPending.resolve(this.reply(wasPending, {
+                    error: wasPending.killed
+                        ? `Cell timed out after ${Math.round(this.policy.timeoutMs / 1000)}s and ignored the interrupt; the kernel was stopped and its state is lost`
+                        : `Kernel died (${signal || `exit code ${code}`}). Its state is lost.`
+                }));
+            }
+            fs.rm(this.scratch, { recursive: true, force: true }).catch(() => {});
+        });
+        this.child.on('error', () => readyResolve(false));
+
+        const timer = setTimeout(() => readyResolve(false), START_TIMEOUT_MS);
+        const ok = await ready;
+        clearTimeout(timer);
+        if (!ok) {
+            this.kill();
+            throw new Error(`${this.language} kernel failed to start`);
+        }
+        this.setStatus('idle');
+    }
+
+    reply(pending, msg) {
+        const stdout = extractImages((msg.stdout || '') + pending.raw.stdout);
+        return {
+            executionCount: pending.count,
+            stdout: stdout.text,
+            stderr: (msg.stderr || '') + pending.raw.stderr,
+            displays: [...stdout.images, ...(msg.displays || [])].filter(d => d.type !== 'image' || IMAGE_LINE.test(d.src)),
+            result: msg.result || null,
+            error: msg.error || null,
+            interrupted: !!msg.interrupted,
+            durationMs: Date.now() - pending.started,
+            isolation: this.level
+        };
+    }
+
+    settle(msg) {
+        const pending = this.pending;
+        if (!pending || msg.id !== pending.id) return;
+        clearTimeout(pending.timer);
+        // Let raw stdout/stderr written just before the reply arrive first
+        setTimeout(() => {
+            this.pending = null;
+            this.setStatus('idle');
+            pending.resolve(this.reply(pending, msg));
+        }, 20);
+    }
+
+    execute(code) {
+        if (!this.child) return Promise.reject(new Error('Kernel is not running'));
+        if (this.pending) return Promise.reject(new Error('Kernel is busy'));
+
+        return new Promise((resolve) => {
+            const id = this.nextId++;
+            this.pending = { id, resolve, count: ++this.executionCount, started: Date.now(), raw: { stdout: '', stderr: '' } };
+            // Over time: interrupt, then kill if the cell ignores it
+            this.pending.timer = setTimeout(() => {
+                this.interrupt();
+                this.pending.timer = setTimeout(() => {
+                    if (this.pending?.id === id) {
+                        this.pending.killed = true;
+                        this.kill();
+                    }
+                }, INTERRUPT_GRACE_MS);
+            }, this.policy.timeoutMs);
+
+            this.setStatus('busy');
+            this.child.stdin.write(JSON.stringify({ id, code }) + '\n');
+        });
+    }
+
+    async interrupt() {
+        if (!this.child || !this.pending) return false;
+        const pid = await findInterpreterPid(this.child.pid, this.exe);
+        try {
+            process.kill(pid, 'SIGINT');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    kill() {
+        if (this.child) this.child.kill('SIGKILL');
+    }
+}
+
+/**
+ * Kernel Manager
+ */
+export class KernelManager {
+    /**
+     * @param {Object} options
+     * @param {CodeSandbox} options.sandbox
+     * @param {Function} options.getProjectPath - () => project folder or null
+     * @param {Function} options.getPolicy - () => resolved sandbox policy
+     * @param {Function} options.onStatus - ({ sessionId, language, status, executionCount }) on every change
+     */
+    constructor(options = {}) {
+        this.sandbox = options.sandbox;
+        this.getProjectPath = options.getProjectPath || (() => null);
+        this.getPolicy = options.getPolicy;
+        this.onStatus = options.onStatus || (() => {});
+        this.kernels = new Map(); // "sessionId|language" -> Kernel
+        this.starting = new Map(); // same key -> { kernel, start: Promise<Kernel> }
+    }
+
+    key(sessionId, language) {
+        return `${sessionId}|${language}`;
+    }
+
+    async get(sessionId, language) {
+        const key = this.key(sessionId, language);
+        const existing = this.kernels.get(key);
+        if (existing && existing.child) return existing;
+        if (this.starting.has(key)) return this.starting.get(key).start;
+
+        const kernel = new Kernel({
+            language,
+            sandbox: this.sandbox,
+            projectPath: this.getProjectPath(),
+            policy: this.getPolicy(),
+            onStatus: (status) => this.onStatus({ sessionId, language, status, executionCount: kernel.executionCount })
+        });
+        const start = kernel.start().then(() => {
+            // Stopped (or restarted) while it was starting
+            if (this.starting.get(key)?.kernel !== kernel) {
+                kernel.kill();
+                throw new Error(`The ${language} kernel was stopped`);
+            }
+            this.kernels.set(key, kernel);
+            return kernel;
+        }).finally(() => {
+            if (this.starting.get(key)?.kernel === kernel) this.starting.delete(key);
+        });
+        this.starting.set(key, { kernel, start });
+        this.onStatus({ sessionId, language, status: 'starting', executionCount: 0 });
+        return start;
+    }
+
+    /**
+     * Run a cell in the session's kernel (started on first use)
+     */
+    async run(sessionId, language, code) {
+        const lang = kernelLanguage(language);
+        if (!lang) throw new Error(`No kernel for "${language}"`);
+        const kernel = await this.get(sessionId, lang);
+        return { language: lang, ...(await kernel.execute(String(code))) };
+    }
+
+    async interrupt(sessionId, language) {
+        const kernel = this.kernels.get(this.key(sessionId, kernelLanguage(language)));
+        return kernel ? await kernel.interrupt() : false;
+    }
+
+    async restart(sessionId, language) {
+        const lang = kernelLanguage(language);
+        if (!lang) throw new Error(`No kernel for "${language}"`);
+        this.stop(sessionId, lang);
+        await this.get(sessionId, lang);
+        return true;
+    }
+
+    stop(sessionId, language) {
+        const key = this.key(sessionId, language);
+        const pending = this.starting.get(key);
+        if (pending) {
+            // Its start sees it was cancelled and kills whatever it spawned
+            this.starting.delete(key);
+            pending.kernel.onStatus = () => {};
+            pending.kernel.kill();
+        }
+        const kernel = this.kernels.get(key);
+        if (!kernel) return;
+        this.kernels.delete(key);
+        kernel.kill();
+    }
+
+    /**
+     * Stop every kernel of a session (the chat was closed or deleted)
+     */
+    shutdown(sessionId) {
+        for (const language of Object.keys(KERNEL_SPECS)) this.stop(sessionId, language);
+    }
+
+    shutdownAll() {
+        const starting = [...this.starting.values()].map(s => s.kernel);
+        for (const kernel of [...starting, ...this.kernels.values()]) {
+            kernel.kill();
+            // Synchronous: this runs while the app is quitting
+            if (kernel.scratch) fsSync.rmSync(kernel.scratch, { recursive: true, force: true });
+        }
+        this.starting.clear();
+        this.kernels.clear();
+    }
+
+    list(sessionId) {
+        return Object.keys(KERNEL_SPECS).map(language => {
+            const kernel = this.kernels.get(this.key(sessionId, language));
+            return { language, status: kernel ? kernel.status : 'off', executionCount: kernel?.executionCount || 0, version: kernel?.version || null };
+        });
+    }
+}
+
+export default KernelManager;
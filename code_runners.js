@@ -0,0 +1,273 @@
+/**
+ * CODE RUNNERS - Which Languages execute-code Speaks
+ * A registry of language runners on top of the code sandbox
+ *
+ * Features:
+ * - Each runner declares its file extension, the toolchains that can run it (first installed wins),
+ *   and per toolchain how to find it, an optional compile step and the run command
+ * - Only runners with an installed toolchain are offered
+ * - Every step runs in the sandbox with the same policy; compile and run share one timeout
+ * - register() adds a runner at runtime
+ *
+ * A toolchain's label names it in "not installed" errors (default: its command).
+ * Step commands get { tool, src, bin, policy } and return an argv: tool is the toolchain's
+ * executable, src the snippet file and bin where a compile step should put its output.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Node >= 22.6 can strip TypeScript types itself
+function nodeStripsTypes(info) {
+    const [major = 0, minor = 0] = String(info.version).replace(/^v/, '').split('.').map(n => parseInt(n) || 0);
+    return major > 22 || (major === 22 && minor >= 6);
+}
+
+export const BUILTIN_RUNNERS = [
+    {
+        id: 'javascript',
+        name: 'JavaScript',
+        aliases: ['js', 'node'],
+        extension: '.js',
+        toolchains: [
+            { command: 'node', kind: 'node', run: ({ tool, src }) => [tool, src] }
+        ]
+    },
+    {
+        id: 'typescript',
+        name: 'TypeScript',
+        aliases: ['ts'],
+        extension: '.ts',
+        toolchains: [
+            {
+                command: 'deno',
+                probe: { args: ['eval', 'console.log(Deno.execPath()); console.log(Deno.version.deno)'] },
+                run: ({ tool, src, policy }) => [tool, 'run', '--quiet', '--allow-read', '--allow-write', '--allow-env',
+                    ...(policy.network ? ['--allow-net'] : []), src]
+            },
+            {
+                command: 'bun',
+                probe: { args: ['-e', 'console.log(process.execPath); console.log(Bun.version)'] },
+                // Bun reserves a large address space up front, like Node
+                addressLimit: false,
+                run: ({ tool, src }) => [tool, 'run', src]
+            },
+            {
+                command: 'node',
+                label: 'Node 22.6+',
+                kind: 'node',
+                supports: nodeStripsTypes,
+                run: ({ tool, src }) => [tool, '--experimental-strip-types', '--no-warnings', src]
+            }
+        ]
+    },
+    {
+        id: 'python',
+        name: 'Python',
+        aliases: ['py', 'python3'],
+        extension: '.py',
+        toolchains: [
+            { command: 'python3', kind: 'python', run: ({ tool, src }) => [tool, src] }
+        ]
+    },
+    {
+        id: 'shell',
+        name: 'Shell',
+        aliases: ['sh', 'bash'],
+        extension: '.sh',
+        toolchains: [
+            {
+                command: 'bash',
+                probe: { args: ['-c', 'echo "$BASH"; echo "$BASH_VERSION"'] },
+                run: ({ tool, src }) => [tool, src]
+            },
+            { command: 'sh', run: ({ tool, src }) => [tool, src] }
+        ]
+    },
+    {
+        id: 'go',
+        name: 'Go',
+        aliases: ['golang'],
+        extension: '.go',
+        toolchains: [
+            {
+                command: 'go',
+                probe: {
+                    args: ['env', 'GOROOT', 'GOVERSION'],
+                    parse: (out) => {
+                        const [root, version = ''] = out.trim().split('\n');
+                        return { exe: path.join(root.trim(), 'bin', 'go'), version: version.trim().replace(/^go/, '') };
+                    }
+                },
+                addressLimit: false,
+                // No toolchain downloads, no module proxy, no C compiler
+                env: { GOTOOLCHAIN: 'local', GOPROXY: 'off', CGO_ENABLED: '0' },
+                compile: ({ tool, src, bin }) => [tool, 'build', '-o', bin, src],
+                run: ({ bin }) => [bin]
+            }
+        ]
+    },
+    {
+        id: 'rust',
+        name: 'Rust',
+        aliases: ['rs'],
+        extension: '.rs',
+        toolchains: [
+            {
+                command: 'rustc',
+                // rustup puts a proxy on PATH; the real compiler lives in the toolchain's sysroot
+                probe: {
+                    args: ['--print', 'sysroot'],
+                    parse: (out) => ({
+                        exe: path.join(out.trim(), 'bin', 'rustc'),
+                        version: (path.basename(out.trim()).match(/^\d+\.\d+(\.\d+)?/) || [''])[0]
+                    })
+                },
+                addressLimit: false,
+                compile: ({ tool, src, bin }) => [tool, '--edition', '2021', '-O', '-o', bin, src],
+                run: ({ bin }) => [bin]
+            }
+        ]
+    }
+];
+
+/**
+ * Runner Registry
+ */
+export class RunnerRegistry {
+    /**
+     * @param {Object} options
+     * @param {CodeSandbox} options.sandbox
+     * @param {Array} options.runners - Runner specs (default: BUILTIN_RUNNERS)
+     */
+    constructor(options = {}) {
+        this.sandbox = options.sandbox;
+        this.runners = [];
+        this.detected = null; // Promise<Map<id, { runner, toolchain, info }>>
+        (options.runners || BUILTIN_RUNNERS).forEach(r => this.register(r));
+    }
+
+    /**
+     * Add a runner (replaces one with the same id)
+     */
+    register(runner) {
+        if (!runner.id || !runner.extension || !Array.isArray(runner.toolchains) || runner.toolchains.length === 0) {
+            throw new Error('A runner needs an id, an extension and at least one toolchain');
+        }
+        this.runners = this.runners.filter(r => r.id !== runner.id).concat({ aliases: [], name: runner.id, ...runner });
+        this.detected = null;
+        return this;
+    }
+
+    /**
+     * Runner for a code block language (id or alias), installed or not
+     */
+    find(language) {
+        const lang = String(language || '').toLowerCase();
+        return this.runners.find(r => r.id === lang || r.aliases.includes(lang)) || null;
+    }
+
+    /**
+     * First installed toolchain of every runner (checked once)
+     */
+    detect() {
+        if (!this.detected) {
+            this.detected = (async () => {
+                const found = new Map();
+                for (const runner of this.runners) {
+                    for (const toolchain of runner.toolchains) {
+                        const info = toolchain.kind
+                            ? await this.sandbox.resolveInterpreter(toolchain.command, toolchain.kind)
+                            : await this.sandbox.interpreter(toolchain.command, toolchain.probe);
+                        if (info && (!toolchain.supports || toolchain.supports(info))) {
+                            found.set(runner.id, { runner, toolchain, info });
+                            break;
+                        }
+                    }
+                }
+                return found;
+            })();
+        }
+        return this.detected;
+    }
+
+    /**
+     * Installed runners, for the UI and the agent's tool description
+     * @returns {Promise<Array>} { id, name, aliases, extension, command, version }
+     */
+    async available() {
+        const found = await this.detect();
+        return [...found.values()].map(({ runner, toolchain, info }) => ({
+            id: runner.id,
+            name: runner.name,
+            aliases: runner.aliases,
+            extension: runner.extension,
+            command: toolchain.command,
+            version: info.version || ''
+        }));
+    }
+
+    /**
+     * Compile (if the toolchain needs it) and run a snippet in a fresh scratch folder
+     * @param {Object} options - { language, code, projectPath, policy (resolved), signal (kills the run when aborted) }
+     * @returns {Promise<{ success, stdout, stderr, level, error?, runner? }>}
+     */
+    async run({ language, code, projectPath = null, policy, signal = null }) {
+        const runner = this.find(language);
+        if (!runner) {
+            const names = (await this.available()).map(r => r.id).join(', ');
+            return { success: false, stdout: '', stderr: '', level: null, error: `Language "${language}" not supported. Available: ${names}` };
+        }
+        const entry = (await this.detect()).get(runner.id);
+        if (!entry) {
+            const options = runner.toolchains.map(t => t.label || t.command);
+            const needs = options.length > 1 ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}` : options[0];
+            return { success: false, stdout: '', stderr: '', level: null, error: `${runner.name} needs ${needs}; none is installed` };
+        }
+
+        const { toolchain, info } = entry;
+        const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'priyah_sbx_'));
+        const deadline = Date.now() + policy.timeoutMs;
+        try {
+            const src = path.join(scratch, `main${runner.extension}`);
+            const bin = path.join(scratch, 'main.bin');
+            await fs.writeFile(src, code, 'utf-8');
+            const vars = { tool: info.exe, src, bin, policy };
+
+            const steps = [
+                ...(toolchain.compile ? [{ name: 'compile', argv: toolchain.compile(vars) }] : []),
+                { name: 'run', argv: toolchain.run(vars) }
+            ];
+
+            let result;
+            for (const step of steps) {
+                const timeoutMs = deadline - Date.now();
+                if (timeoutMs < 1000) {
+                    return { ...result, success: false, error: `Execution timed out (${Math.round(policy.timeoutMs / 1000)}s limit)`, runner: runner.id };
+                }
+                const [exe, ...args] = step.argv;
+                const usesTool = exe === info.exe;
+                result = await this.sandbox.exec({
+                    exe,
+                    args,
+                    prefix: usesTool ? info.prefix : null,
+                    version: info.version,
+                    kind: usesTool && toolchain.kind ? toolchain.kind : 'other',
+                    env: toolchain.env,
+                    addressLimit: toolchain.addressLimit
+                }, { scratch, projectPath, policy: { ...policy, timeoutMs }, signal });
+
+                if (!result.success) {
+                    if (step.name === 'compile' && !signal?.aborted) result.error = `Compilation failed: ${result.error}`;
+                    break;
+                }
+            }
+            return { ...result, runner: runner.id };
+        } finally {
+            await fs.rm(scratch, { recursive: true, force: true }).catch(() => {});
+        }
+    }
+}
+
+export default RunnerRegistry;
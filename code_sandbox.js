@@ -0,0 +1,335 @@
+/**
+ * CODE SANDBOX - Isolation for execute-code
+ * Runs snippets in Linux namespaces (bubblewrap, else unshare), or as a restricted process elsewhere
+ *
+ * Policy (per request, defaults from config):
+ * - network: false - no network unless asked for
+ * - project: 'ro' | 'rw' | 'none' - how the project folder is visible ($PROJECT_DIR inside)
+ * - memoryMb, cpuSeconds, timeoutMs, maxOutput
+ *
+ * Isolation levels (best available is used):
+ * - bwrap: new mount/PID/IPC/network namespaces; only system folders (read-only), the interpreter,
+ *   the project and a writable scratch dir exist inside
+ * - unshare: new user/mount/PID/network namespaces; every mount remounted read-only except the
+ *   scratch dir (and the project when it is 'rw'), project hidden for 'none'; other files stay readable
+ * - restricted: clean environment, scratch working dir, rlimits, Node's permission model for
+ *   JavaScript (file system limited to scratch + project); the network is NOT blocked
+ * - unconfined: what 'restricted' amounts to for everything but Node 20+ (Python, shells, compilers):
+ *   environment, working dir and rlimits only; the policy's network and project settings are not enforced
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+
+const execFilePromise = util.promisify(execFile);
+
+export const DEFAULT_POLICY = {
+    network: false,
+    project: 'ro',
+    memoryMb: 512,
+    cpuSeconds: 20,
+    timeoutMs: 30000,
+    maxOutput: 1024 * 1024
+};
+
+const PROJECT_MODES = ['ro', 'rw', 'none'];
+const SYSTEM_DIRS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc'];
+const SANDBOX_PATH = '/usr/local/bin:/usr/bin:/bin';
+
+// Make an interpreter print its real path, then its version (version managers put shims on PATH)
+const PROBES = {
+    node: { args: ['-p', 'process.execPath + "\\n" + process.version'] },
+    python: { args: ['-c', 'import sys; print(sys.executable); print(sys.version.split()[0])'] }
+};
+
+function parseProbe(stdout) {
+    const [exe, version = ''] = stdout.trim().split('\n');
+    return { exe: exe.trim(), version: version.trim() };
+}
+
+// Mount setup inside `unshare`, then run the interpreter. Scratch (and a read-write project) become
+// mounts of their own, then every other mount except /proc and the ttys is made read-only; a mount
+// that refuses stops the run. Not exec'd: a child killed by a signal comes back as exit code 128+n
+// instead of unshare trying to re-raise it
+const UNSHARE_SCRIPT = `set -e
+mount --bind "$SCRATCH_DIR" "$SCRATCH_DIR"
+if [ -n "$PROJECT_DIR" ]; then
+  if [ "$PROJECT_MODE" = none ]; then mount -t tmpfs -o ro none "$PROJECT_DIR"
+  elif [ "$PROJECT_MODE" = rw ]; then mount --bind "$PROJECT_DIR" "$PROJECT_DIR"; fi
+fi
+awk '{ print $5 }' /proc/self/mountinfo | while read -r mp; do
+  mp=$(printf '%b' "$mp")
+  case "$mp" in /proc|/proc/*|/dev/pts) continue ;; esac
+  [ "$mp" = "$SCRATCH_DIR" ] && continue
+  [ "$PROJECT_MODE" = rw ] && [ "$mp" = "$PROJECT_DIR" ] && continue
+  mount -o remount,bind,ro "$mp"
+done
+if [ -d /dev/shm ]; then mount -t tmpfs -o mode=1777 none /dev/shm; fi
+cd "$SCRATCH_DIR"
+"$@"`;
+
+async function runsOk(file, args, env = process.env) {
+    try {
+        await execFilePromise(file, args, { timeout: 5000, env });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+async function findOnPath(name) {
+    if (path.isAbsolute(name)) return name;
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+        if (!dir) continue;
+        const candidate = path.join(dir, name);
+        try {
+            await fs.access(candidate, fs.constants.X_OK);
+            return candidate;
+        } catch (e) {
+            // Not here
+        }
+    }
+    return null;
+}
+
+/**
+ * Merge a request's policy over the defaults, clamping anything out of range
+ */
+export function resolvePolicy(requested = {}, defaults = {}) {
+    const merged = { ...DEFAULT_POLICY, ...defaults, ...requested };
+    return {
+        network: merged.network === true,
+        project: PROJECT_MODES.includes(merged.project) ? merged.project : 'ro',
+        memoryMb: Math.min(8192, Math.max(64, parseInt(merged.memoryMb) || DEFAULT_POLICY.memoryMb)),
+        cpuSeconds: Math.min(600, Math.max(1, parseInt(merged.cpuSeconds) || DEFAULT_POLICY.cpuSeconds)),
+        timeoutMs: Math.min(600000, Math.max(1000, parseInt(merged.timeoutMs) || DEFAULT_POLICY.timeoutMs)),
+        maxOutput: Math.min(16 * 1024 * 1024, Math.max(1024, parseInt(merged.maxOutput) || DEFAULT_POLICY.maxOutput))
+    };
+}
+
+/**
+ * Code Sandbox
+ */
+export class CodeSandbox {
+    constructor() {
+        this.levelPromise = null;
+        this.tools = null;
+        this.interpreters = new Map(); // command -> { exe, prefix, version } | null
+    }
+
+    /**
+     * Best isolation this machine offers: 'bwrap', 'unshare' or 'restricted' (checked once)
+     */
+    detect() {
+        if (!this.levelPromise) {
+            this.levelPromise = (async () => {
+                this.tools = {
+                    bwrap: process.platform === 'linux' ? await findOnPath('bwrap') : null,
+                    unshare: process.platform === 'linux' ? await findOnPath('unshare') : null,
+                    prlimit: process.platform === 'linux' ? await findOnPath('prlimit') : null
+                };
+                // Installed is not enough: unprivileged user namespaces can be switched off
+                if (this.tools.bwrap && await runsOk(this.tools.bwrap, ['--unshare-all', '--ro-bind', '/', '/', 'true'])) return 'bwrap';
+                if (this.tools.unshare && await this.unshareWorks()) return 'unshare';
+                return 'restricted';
+            })();
+        }
+        return this.levelPromise;
+    }
+
+    // The namespaces and the whole mount setup, on an empty scratch dir
+    async unshareWorks() {
+        const scratch = await fs.mkdtemp(path.join(os.tmpdir(), 'priyah_probe_'));
+        try {
+            return await runsOk(this.tools.unshare, [
+                '--user', '--map-root-user', '--mount', '--net', '--pid', '--fork', '--kill-child', '--mount-proc',
+                '/bin/sh', '-c', UNSHARE_SCRIPT, 'sh', 'true'
+            ], { PATH: SANDBOX_PATH, SCRATCH_DIR: scratch, PROJECT_DIR: '', PROJECT_MODE: 'none' });
+        } finally {
+            await fs.rm(scratch, { recursive: true, force: true }).catch(() => {});
+        }
+    }
+
+    /**
+     * The real interpreter or compiler behind a command
+     * @param {Object} probe - { args, parse } - run the command with args, parse(stdout) gives { exe, version };
+     *                         without parse, stdout is the path then the version (optional)
+     */
+    async interpreter(command, probe = null) {
+        if (this.interpreters.has(command)) return this.interpreters.get(command);
+
+        let info = null;
+        const found = await findOnPath(command);
+        if (found) {
+            info = { exe: await fs.realpath(found).catch(() => found), version: '' };
+            if (probe) {
+                try {
+                    const { stdout } = await execFilePromise(found, probe.args, { timeout: 5000 });
+                    const { exe, version } = (probe.parse || parseProbe)(stdout);
+                    if (exe) info = { exe: await fs.realpath(exe), version };
+                } catch (e) {
+                    // Keep what PATH gave us
+                }
+            }
+            info.prefix = path.dirname(path.dirname(info.exe));
+        }
+        this.interpreters.set(command, info);
+        return info;
+    }
+
+    /**
+     * Interpreter for a runner kind, with the probe that finds the real binary
+     */
+    resolveInterpreter(command, kind) {
+        return this.interpreter(command, PROBES[kind] || null);
+    }
+
+    /**
+     * Command line, environment and working dir for a job
+     * @param {Object} job - { exe, prefix, version, args (paths inside scratch), kind: 'node'|'python'|'other',
+     *                        env (extra variables), addressLimit (false for runtimes that reserve big address spaces) }
+     * @param {Object} options - { scratch, projectPath, policy, cpuLimit } - cpuLimit: false for long-lived
+     *                           processes (kernels), whose CPU time adds up across runs
+     * @returns {Promise<{ argv, env, cwd, level }>} level: the detected one, or 'unconfined' when this job
+     *   gets no file system limit at the 'restricted' level
+     */
+    async prepare(job, { scratch, projectPath, policy, cpuLimit = true }) {
+        let level = await this.detect();
+        const project = projectPath && policy.project !== 'none' ? path.resolve(projectPath) : null;
+
+        // Node reserves a lot of address space up front, so its heap flag replaces the address-space limit
+        const interpreterArgs = [];
+        let permissions = [];
+        if (job.kind === 'node') {
+            interpreterArgs.push(`--max-old-space-size=${policy.memoryMb}`);
+            if (level === 'restricted') permissions = this.nodePermissionArgs(job, scratch, project, policy);
+            interpreterArgs.push(...permissions);
+        } else if (job.kind === 'python') {
+            interpreterArgs.push('-I');
+        }
+        // Without namespaces only Node's permission model holds a job to the policy
+        if (level === 'restricted' && permissions.length === 0) level = 'unconfined';
+
+        const limitAddressSpace = job.kind !== 'node' && job.addressLimit !== false;
+        const limits = [];
+        if (this.tools.prlimit && (cpuLimit || limitAddressSpace)) {
+            limits.push(this.tools.prlimit);
+            if (cpuLimit) limits.push(`--cpu=${policy.cpuSeconds}:${policy.cpuSeconds + 1}`);
+            if (limitAddressSpace) limits.push(`--as=${policy.memoryMb * 1024 * 1024}`);
+            limits.push('--');
+        }
+
+        // Limits go on the interpreter itself, inside any namespace
+        let argv;
+        const cwd = scratch;
+        let env = { PATH: SANDBOX_PATH, HOME: scratch, TMPDIR: scratch, LANG: 'C.UTF-8', ...job.env };
+
+        if (level === 'bwrap') {
+            const inScratch = (p) => p.startsWith(scratch) ? p.replace(scratch, '/scratch') : p;
+            const inside = [...limits, inScratch(job.exe), ...interpreterArgs, ...job.args.map(inScratch)];
+            argv = [this.tools.bwrap, ...this.bwrapArgs(job, scratch, project, policy), ...inside];
+            env = {};
+        } else if (level === 'unshare') {
+            env = {
+                ...env,
+                SCRATCH_DIR: scratch,
+                PROJECT_DIR: projectPath ? path.resolve(projectPath) : '',
+                PROJECT_MODE: policy.project
+            };
+            argv = [
+                this.tools.unshare,
+                '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child', '--mount-proc',
+                ...(policy.network ? [] : ['--net']),
+                '/bin/sh', '-c', UNSHARE_SCRIPT, 'sh',
+                ...limits, job.exe, ...interpreterArgs, ...job.args
+            ];
+        } else {
+            if (project) env.PROJECT_DIR = project;
+            argv = [...limits, job.exe, ...interpreterArgs, ...job.args];
+        }
+
+        return { argv, env, cwd, level };
+    }
+
+    /**
+     * Run a job to completion
+     * @param {Object} options - as prepare, plus signal: an AbortSignal that kills the job
+     */
+    async exec(job, { scratch, projectPath, policy, signal = null }) {
+        const { argv, env, cwd, level } = await this.prepare(job, { scratch, projectPath, policy });
+        try {
+            const { stdout, stderr } = await execFilePromise(argv[0], argv.slice(1), {
+                cwd,
+                env,
+                timeout: policy.timeoutMs,
+                maxBuffer: policy.maxOutput,
+                killSignal: 'SIGKILL',
+                ...(signal ? { signal } : {})
+            });
+            return { success: true, stdout, stderr, level };
+        } catch (e) {
+            return { success: false, stdout: e.stdout || '', stderr: e.stderr || '', level, error: this.describeFailure(e, policy) };
+        }
+    }
+
+    describeFailure(e, policy) {
+        if (e.name === 'AbortError') return 'Stopped';
+        if (e.killed && !Number.isInteger(e.code)) return `Execution timed out (${Math.round(policy.timeoutMs / 1000)}s limit)`;
+        if (e.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') return `Output limit reached (${Math.round(policy.maxOutput / 1024)} KB)`;
+
+        // Namespaced runs report a signal as exit code 128+n
+        const signal = e.signal || (Number.isInteger(e.code) && e.code > 128
+            ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === e.code - 128)
+            : null);
+        if (signal === 'SIGXCPU') return `Stopped by the CPU limit (${policy.cpuSeconds}s)`;
+        if (signal === 'SIGKILL') return 'Killed (CPU or memory limit)';
+        if (signal) return `Terminated by ${signal}`;
+        return Number.isInteger(e.code) ? `Exited with code ${e.code}` : e.message;
+    }
+
+    bwrapArgs(job, scratch, project, policy) {
+        const args = ['--unshare-all', '--die-with-parent', '--new-session'];
+        if (policy.network) args.push('--share-net');
+        for (const dir of SYSTEM_DIRS) args.push('--ro-bind-try', dir, dir);
+        // Interpreters installed outside /usr (nvm, pyenv, Homebrew on Linux)
+        if (job.prefix && !SYSTEM_DIRS.some(d => job.prefix === d || job.prefix.startsWith(`${d}/`))) {
+            args.push('--ro-bind', job.prefix, job.prefix);
+        }
+        args.push(
+            '--proc', '/proc',
+            '--dev', '/dev',
+            '--tmpfs', '/tmp',
+            '--bind', scratch, '/scratch',
+            '--chdir', '/scratch',
+            '--clearenv',
+            '--setenv', 'PATH', SANDBOX_PATH,
+            '--setenv', 'HOME', '/scratch',
+            '--setenv', 'TMPDIR', '/tmp',
+            '--setenv', 'LANG', 'C.UTF-8'
+        );
+        for (const [name, value] of Object.entries(job.env || {})) args.push('--setenv', name, value);
+        if (project) {
+            args.push(policy.project === 'rw' ? '--bind' : '--ro-bind', project, '/project', '--setenv', 'PROJECT_DIR', '/project');
+        }
+        return args;
+    }
+
+    // Node's permission model (flag renamed in Node 23)
+    nodePermissionArgs(job, scratch, project, policy) {
+        const [major = 0, minor = 0] = String(job.version).replace(/^v/, '').split('.').map(n => parseInt(n) || 0);
+        if (major < 20) return [];
+        const read = [scratch, ...(project ? [project] : [])];
+        const write = [scratch, ...(project && policy.project === 'rw' ? [project] : [])];
+        return [
+            major >= 23 ? '--permission' : '--experimental-permission',
+            ...(major > 20 || minor >= 11 ? ['--disable-warning=ExperimentalWarning'] : []),
+            ...read.map(p => `--allow-fs-read=${p}`),
+            ...write.map(p => `--allow-fs-write=${p}`)
+        ];
+    }
+}
+
+export default CodeSandbox;
@@ -0,0 +1,249 @@
+/**
+ * CONTEXT LOOM - Token-Budget-Aware Prompt Assembly
+ * Fits system prompt, memory, search/project context and history into a model's context window
+ *
+ * Budget order:
+ * - System prompt + current prompt are always kept
+ * - A slice of the window is reserved for the model's reply
+ * - Context (search, project) and memory get capped shares, truncated to fit
+ * - History fills the rest, newest first
+ * - Older turns that don't fit are folded into a running summary instead of being dropped
+ */
+
+import crypto from 'crypto';
+
+// Rough heuristic: ~3.5 characters per token across prose and code
+const CHARS_PER_TOKEN = 3.5;
+// Per-message overhead for role markers / chat template tokens
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ * Estimate the token count of a string
+ */
+export function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cut text down to roughly maxTokens
+ */
+export function truncateToTokens(text, maxTokens) {
+    if (!text) return '';
+    if (maxTokens <= 0) return '';
+    const maxChars = Math.floor(maxTokens * CHARS_PER_TOKEN);
+    if (text.length <= maxChars) return text;
+    const marker = '\n[...truncated to fit context window]';
+    return text.substring(0, Math.max(0, maxChars - marker.length)) + marker;
+}
+
+function hashTurn(turn) {
+    return crypto.createHash('sha1').update(`${turn.sender}\u0000${turn.text}`).digest('hex');
+}
+
+/**
+ * Context Builder - assembles chat messages within a token budget
+ */
+export class ContextBuilder {
+    constructor(options = {}) {
+        // async (previousSummary, turns, maxTokens) => string
+        this.summarize = options.summarize || null;
+        this.contextShare = options.contextShare || 0.4;
+        this.memoryShare = options.memoryShare || 0.15;
+        this.summaryShare = options.summaryShare || 0.2;
+        this.maxSummaryTokens = options.maxSummaryTokens || 600;
+        this.summaryCache = new Map();
+        this.maxCacheEntries = options.maxCacheEntries || 50;
+    }
+
+    /**
+     * Rolling hashes for every prefix of turns: hashes[i] covers turns[0..i]
+     */
+    prefixHashes(turns) {
+        const hashes = [];
+        let prev = '';
+        for (const turn of turns) {
+            prev = crypto.createHash('sha1').update(prev + hashTurn(turn)).digest('hex');
+            hashes.push(prev);
+        }
+        return hashes;
+    }
+
+    rememberSummary(key, summary) {
+        this.summaryCache.delete(key);
+        this.summaryCache.set(key, summary);
+        while (this.summaryCache.size > this.maxCacheEntries) {
+            this.summaryCache.delete(this.summaryCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Fallback summary: first line of each turn, newest last
+     */
+    extractiveSummary(previousSummary, turns, maxTokens) {
+        const lines = turns.map(t => {
+            const firstLine = String(t.text || '').split('\n').find(l => l.trim()) || '';
+            return `- ${t.sender === 'user' ? 'User' : 'Assistant'}: ${firstLine.substring(0, 160)}`;
+        });
+        const text = [previousSummary, ...lines].filter(Boolean).join('\n');
+        // Keep the most recent part when it doesn't fit
+        const maxChars = Math.floor(maxTokens * CHARS_PER_TOKEN);
+        return text.length > maxChars ? text.substring(text.length - maxChars) : text;
+    }
+
+    /**
+     * Summarize turns incrementally, reusing the longest cached prefix summary
+     */
+    async summarizeTurns(turns, maxTokens, summarize = this.summarize) {
+        if (turns.length === 0 || maxTokens <= 0) return '';
+
+        const hashes = this.prefixHashes(turns);
+        let base = '';
+        let start = 0;
+        for (let i = hashes.length - 1; i >= 0; i--) {
+            const cached = this.summaryCache.get(hashes[i]);
+            if (cached !== undefined) {
+                base = cached;
+                start = i + 1;
+                break;
+            }
+        }
+
+        if (start === turns.length) return truncateToTokens(base, maxTokens);
+
+        const rest = turns.slice(start);
+        let summary = null;
+        if (summarize) {
+            try {
+                summary = await summarize(base, rest, maxTokens);
+            } catch (e) {
+                // Cancellation must propagate; any other failure falls back to extraction
+                if (e.name === 'AbortError') throw e;
+                summary = null;
+            }
+        }
+        if (!summary || !summary.trim()) {
+            summary = this.extractiveSummary(base, rest, maxTokens);
+        }
+
+        summary = truncateToTokens(summary.trim(), maxTokens);
+        this.rememberSummary(hashes[hashes.length - 1], summary);
+        return summary;
+    }
+
+    /**
+     * Build the message list for a chat request
+     * @returns {{ messages: Array, budget: Object }}
+     */
+    async build({ contextWindow, reserve, system, instructions = '', memory = '', context = '', history = [], prompt, summarize = this.summarize }) {
+        const budget = {
+            window: contextWindow,
+            reserve,
+            system: 0,
+            prompt: 0,
+            memory: 0,
+            context: 0,
+            history: 0,
+            historyTurns: 0,
+            summarizedTurns: 0,
+            summary: 0,
+            truncated: [],
+            free: 0
+        };
+
+        budget.system = estimateTokens(system + instructions) + MESSAGE_OVERHEAD;
+        budget.prompt = estimateTokens(prompt) + MESSAGE_OVERHEAD;
+
+        let available = Math.max(0, contextWindow - reserve - budget.system - budget.prompt);
+
+        // Search / project context
+        const contextCap = Math.floor(available * this.contextShare);
+        let contextText = context;
+        if (estimateTokens(contextText) > contextCap) {
+            contextText = truncateToTokens(contextText, contextCap);
+            budget.truncated.push('context');
+        }
+        budget.context = estimateTokens(contextText);
+        available -= budget.context;
+
+        // Memory
+        const memoryCap = Math.floor(available * this.memoryShare);
+        let memoryText = memory;
+        if (estimateTokens(memoryText) > memoryCap) {
+            memoryText = truncateToTokens(memoryText, memoryCap);
+            budget.truncated.push('memory');
+        }
+        budget.memory = estimateTokens(memoryText);
+        available -= budget.memory;
+
+        // History, newest first. The renderer's history already ends with the current prompt.
+        const turns = [...history];
+        const last = turns[turns.length - 1];
+        if (last && last.sender === 'user' && last.text === prompt) turns.pop();
+
+        const cost = (t) => estimateTokens(t.text) + MESSAGE_OVERHEAD;
+        const fit = (limit) => {
+            let used = 0;
+            let i = turns.length;
+            while (i > 0 && used + cost(turns[i - 1]) <= limit) {
+                used += cost(turns[i - 1]);
+                i--;
+            }
+            return { start: i, used };
+        };
+
+        let { start, used } = fit(available);
+        let summary = '';
+
+        if (start > 0) {
+            // Make room for a summary of the older turns, then refit
+            const summaryCap = Math.min(this.maxSummaryTokens, Math.floor(available * this.summaryShare));
+            ({ start, used } = fit(available - summaryCap));
+            summary = await this.summarizeTurns(turns.slice(0, start), summaryCap, summarize);
+            budget.summarizedTurns = start;
+            budget.summary = summary ? estimateTokens(summary) + MESSAGE_OVERHEAD : 0;
+        }
+
+        budget.history = used;
+        budget.historyTurns = turns.length - start;
+        budget.free = Math.max(0, available - used - budget.summary);
+
+        const systemContent = system +
+            (memoryText ? `\n[MEMORY] ${memoryText}` : '') +
+            (contextText ? `\n[CONTEXT] ${contextText}` : '') +
+            instructions;
+
+        const messages = [
+            { role: 'system', content: systemContent },
+            ...(summary ? [{ role: 'system', content: `[EARLIER CONVERSATION SUMMARY]\n${summary}` }] : []),
+            ...turns.slice(start).map(h => ({
+                role: h.sender === 'user' ? 'user' : 'assistant',
+                content: h.text
+            })),
+            { role: 'user', content: prompt }
+        ];
+
+        return { messages, budget };
+    }
+
+    /**
+     * Human-readable budget breakdown (HTML for the thought bubble)
+     */
+    formatBudget(budget) {
+        const pct = (n) => budget.window ? `${Math.round((n / budget.window) * 100)}%` : '-';
+        const row = (label, n, extra = '') => `${label}: ${n} tok (${pct(n)})${extra}`;
+
+        return [
+            `Window: ${budget.window} tok · Reply reserve: ${budget.reserve}`,
+            row('System', budget.system),
+            row('Memory', budget.memory, budget.truncated.includes('memory') ? ' [truncated]' : ''),
+            row('Context', budget.context, budget.truncated.includes('context') ? ' [truncated]' : ''),
+            row('History', budget.history, ` · ${budget.historyTurns} turn(s)`),
+            budget.summarizedTurns > 0 ? row('Summary', budget.summary, ` · ${budget.summarizedTurns} older turn(s)`) : null,
+            row('Prompt', budget.prompt),
+            row('Free', budget.free)
+        ].filter(Boolean).join('<br>');
+    }
+}
+
+export default ContextBuilder;
@@ -0,0 +1,156 @@
+/**
+ * EIGEN OPS - The Scribe's Vocabulary
+ * Parses Eigen protocol tags out of a model response and computes file edits
+ *
+ * Tags:
+ * - <FILE path="p">full content</FILE>           create or replace a file
+ * - <PATCH path="p">unified diff</PATCH>          apply hunks to a file
+ * - <EDIT path="p"><SEARCH>old</SEARCH><REPLACE>new</REPLACE>...</EDIT>   exact search/replace
+ * - <DELETE path="p"/>                            delete a file
+ * - <MOVE from="a" to="b"/>                       move / rename a file
+ * - <READ path="p"/>                              ask for a file's contents (answered in a follow-up turn)
+ *
+ * Paths are returned as written; callers resolve them through sanitizePath.
+ */
+
+const TAG_REGEX = new RegExp([
+    '<(FILE|PATCH|EDIT)\\s+path="([^"]+)"\\s*>([\\s\\S]*?)<\\/\\1>',
+    '<(DELETE|READ)\\s+path="([^"]+)"\\s*\\/?>(?:\\s*<\\/\\4>)?',
+    '<MOVE\\s+from="([^"]+)"\\s+to="([^"]+)"\\s*\\/?>(?:\\s*<\\/MOVE>)?'
+].join('|'), 'g');
+
+function cleanPath(p) {
+    return p.trim().replace(/^[\/\\]+/, ''); // Remove leading slashes
+}
+
+// Models like to wrap diffs in a Markdown fence
+function stripFence(text) {
+    const m = text.match(/^\s*```[\w-]*\n([\s\S]*?)\n?```\s*$/);
+    return m ? m[1] : text;
+}
+
+/**
+ * All Eigen operations in a response, in order
+ * @returns {Array} { type: 'file'|'patch'|'edit'|'delete'|'read'|'move', path, content?, to? }
+ */
+export function parseEigenOps(response) {
+    const ops = [];
+    if (typeof response !== 'string') return ops;
+
+    for (const m of response.matchAll(TAG_REGEX)) {
+        if (m[1]) {
+            const type = m[1].toLowerCase();
+            const body = type === 'file' ? m[3].trim() : m[3];
+            ops.push({ type, path: cleanPath(m[2]), content: type === 'patch' ? stripFence(body.replace(/^\n+|\s+$/g, '')) : body });
+        } else if (m[4]) {
+            ops.push({ type: m[4].toLowerCase(), path: cleanPath(m[5]) });
+        } else {
+            ops.push({ type: 'move', path: cleanPath(m[6]), to: cleanPath(m[7]) });
+        }
+    }
+    return ops;
+}
+
+/**
+ * Remove <READ> requests from a response (they're answered, not shown)
+ */
+export function stripReadTags(response) {
+    return String(response).replace(/<READ\s+path="[^"]+"\s*\/?>(?:\s*<\/READ>)?/g, '').replace(/\n{3,}/g, '\n\n');
+}
+
+function splitLines(text) {
+    return String(text ?? '').replace(/\r\n/g, '\n').split('\n');
+}
+
+function findBlock(lines, block, from, compare) {
+    for (let i = Math.max(0, from); i + block.length <= lines.length; i++) {
+        if (block.every((l, k) => compare(lines[i + k], l))) return i;
+    }
+    return -1;
+}
+
+/**
+ * Apply a unified diff. Hunk line numbers are a hint: each hunk is searched for near its
+ * stated position first, then anywhere after the previous hunk, then with trailing whitespace ignored.
+ */
+export function applyUnifiedDiff(original, patch) {
+    const hadTrailingNewline = /\n$/.test(original || '');
+    const lines = original ? splitLines(original.replace(/\n$/, '')) : [];
+    const hunks = [];
+    let hunk = null;
+
+    for (const line of splitLines(patch)) {
+        if (line.startsWith('--- ') || line.startsWith('+++ ') || line.startsWith('diff ') || line.startsWith('index ')) continue;
+        const header = line.match(/^@@\s*-(\d+)(?:,\d+)?\s+\+\d+(?:,\d+)?\s*@@/) || line.match(/^@@.*@@/);
+        if (header) {
+            hunk = { start: header[1] ? parseInt(header[1], 10) - 1 : null, old: [], new: [] };
+            hunks.push(hunk);
+            continue;
+        }
+        if (!hunk || line.startsWith('\\')) continue; // "\ No newline at end of file"
+        const marker = line[0];
+        const text = line.slice(1);
+        if (marker === '-') hunk.old.push(text);
+        else if (marker === '+') hunk.new.push(text);
+        else if (marker === ' ' || line === '') {
+            hunk.old.push(text);
+            hunk.new.push(text);
+        }
+    }
+
+    if (hunks.length === 0) throw new Error('no hunks found in patch');
+
+    const exact = (a, b) => a === b;
+    const loose = (a, b) => a !== undefined && a.trimEnd() === b.trimEnd();
+    let cursor = 0;
+    let offset = 0;
+
+    hunks.forEach((h, n) => {
+        // A trailing blank context line is often an artifact of the model's formatting
+        while (h.old.length > 0 && h.old[h.old.length - 1] === '' && h.new[h.new.length - 1] === '') {
+            h.old.pop();
+            h.new.pop();
+        }
+
+        let at = -1;
+        if (h.old.length === 0) {
+            // Pure insertion: "-a,0" means after line a
+            at = h.start !== null ? Math.min(lines.length, h.start + 1 + offset) : lines.length;
+        } else {
+            const hint = h.start !== null ? h.start + offset : cursor;
+            for (const compare of [exact, loose]) {
+                if (hint >= cursor && findBlock(lines.slice(hint, hint + h.old.length), h.old, 0, compare) === 0) at = hint;
+                if (at < 0) at = findBlock(lines, h.old, cursor, compare);
+                if (at >= 0) break;
+            }
+        }
+        if (at < 0) throw new Error(`hunk ${n + 1} does not match the file`);
+
+        lines.splice(at, h.old.length, ...h.new);
+        cursor = at + h.new.length;
+        offset += h.new.length - h.old.length;
+    });
+
+    return lines.join('\n') + (hadTrailingNewline || !original ? '\n' : '');
+}
+
+/**
+ * Apply <SEARCH>/<REPLACE> pairs. Each search text must occur exactly once.
+ */
+export function applySearchReplace(original, body) {
+    const pairs = [...String(body).matchAll(/<SEARCH>\n?([\s\S]*?)\n?<\/SEARCH>\s*<REPLACE>\n?([\s\S]*?)\n?<\/REPLACE>/g)];
+    if (pairs.length === 0) throw new Error('no <SEARCH>/<REPLACE> pairs found');
+    if (original === null) throw new Error('file does not exist');
+
+    let text = original;
+    pairs.forEach(([, search, replace], n) => {
+        if (!search) throw new Error(`search block ${n + 1} is empty`);
+        const first = text.indexOf(search);
+        if (first < 0) throw new Error(`search block ${n + 1} not found`);
+        if (text.indexOf(search, first + 1) >= 0) throw new Error(`search block ${n + 1} matches more than once; include more context`);
+        text = text.slice(0, first) + replace + text.slice(first + search.length);
+    });
+    return text;
+}
+
+export default parseEigenOps;
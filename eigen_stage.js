@@ -0,0 +1,335 @@
+/**
+ * EIGEN STAGE - Review Before the Scribe Writes
+ * File operations from the model (write, delete, move) become pending changes instead of disk writes
+ *
+ * Features:
+ * - Each pending change keeps the file content it was diffed against
+ * - Accepting refuses to touch a file that changed on disk since it was staged
+ * - Every applied change is recorded; undo restores the previous state
+ *   (old content, a created file removed, a deleted file restored, a move reversed)
+ * - Line diff paired into side-by-side rows, unchanged stretches collapsed
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const MAX_HISTORY = 100;
+// Above this many cells (lines × lines after trimming the common ends) the diff is shown as a full replace
+const MAX_DIFF_CELLS = 4_000_000;
+
+function splitLines(text) {
+    if (text === null || text === undefined || text === '') return [];
+    return String(text).replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Line operations turning a into b: [{ op: 'same'|'del'|'add', a?, b? }] (indexes)
+ */
+function lineOps(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ op: 'same', a: i, b: i });
+
+    const n = endA - start;
+    const m = endB - start;
+    if (n * m > MAX_DIFF_CELLS) {
+        for (let i = start; i < endA; i++) ops.push({ op: 'del', a: i });
+        for (let j = start; j < endB; j++) ops.push({ op: 'add', b: j });
+    } else {
+        // Longest common subsequence over the changed middle
+        const lcs = new Uint32Array((n + 1) * (m + 1));
+        const at = (i, j) => i * (m + 1) + j;
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[at(i, j)] = a[start + i] === b[start + j]
+                    ? lcs[at(i + 1, j + 1)] + 1
+                    : Math.max(lcs[at(i + 1, j)], lcs[at(i, j + 1)]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push({ op: 'same', a: start + i++, b: start + j++ });
+            } else if (j < m && (i === n || lcs[at(i, j + 1)] >= lcs[at(i + 1, j)])) {
+                ops.push({ op: 'add', b: start + j++ });
+            } else {
+                ops.push({ op: 'del', a: start + i++ });
+            }
+        }
+    }
+
+    const tail = a.length - endA;
+    for (let k = 0; k < tail; k++) ops.push({ op: 'same', a: endA + k, b: endB + k });
+    return ops;
+}
+
+/**
+ * Side-by-side diff rows
+ * @returns {{ rows: Array, added: number, removed: number }}
+ *   rows: { type: 'same'|'change'|'del'|'add', left: { no, text }|null, right: { no, text }|null }
+ *         or { type: 'skip', count } for collapsed unchanged lines
+ */
+export function diffLines(before, after, { context = 3 } = {}) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+    const ops = lineOps(a, b);
+
+    const rows = [];
+    let added = 0;
+    let removed = 0;
+
+    for (let k = 0; k < ops.length;) {
+        if (ops[k].op === 'same') {
+            rows.push({ type: 'same', left: { no: ops[k].a + 1, text: a[ops[k].a] }, right: { no: ops[k].b + 1, text: b[ops[k].b] } });
+            k++;
+            continue;
+        }
+
+        // A run of deletions/additions: pair them up line by line
+        const dels = [];
+        const adds = [];
+        while (k < ops.length && ops[k].op !== 'same') {
+            if (ops[k].op === 'del') dels.push(ops[k].a);
+            else adds.push(ops[k].b);
+            k++;
+        }
+        removed += dels.length;
+        added += adds.length;
+        for (let r = 0; r < Math.max(dels.length, adds.length); r++) {
+            const left = r < dels.length ? { no: dels[r] + 1, text: a[dels[r]] } : null;
+            const right = r < adds.length ? { no: adds[r] + 1, text: b[adds[r]] } : null;
+            rows.push({ type: left && right ? 'change' : left ? 'del' : 'add', left, right });
+        }
+    }
+
+    // Collapse unchanged lines further than `context` from any change
+    const near = rows.map(() => false);
+    rows.forEach((row, i) => {
+        if (row.type === 'same') return;
+        for (let d = Math.max(0, i - context); d <= Math.min(rows.length - 1, i + context); d++) near[d] = true;
+    });
+
+    const collapsed = [];
+    for (let i = 0; i < rows.length;) {
+        if (rows[i].type !== 'same' || near[i]) {
+            collapsed.push(rows[i++]);
+            continue;
+        }
+        let count = 0;
+        while (i < rows.length && rows[i].type === 'same' && !near[i]) {
+            count++;
+            i++;
+        }
+        collapsed.push({ type: 'skip', count });
+    }
+
+    return { rows: collapsed, added, removed };
+}
+
+async function readOrNull(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf-8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+/**
+ * Eigen Stage
+ */
+export class EigenStage {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onChange - Called whenever pending changes or history change
+     */
+    constructor(options = {}) {
+        this.onChange = options.onChange || (() => {});
+        this.pending = new Map(); // id -> { id, kind: 'write'|'delete'|'move', path, fullPath, content, toPath, toFullPath, original, stagedAt }
+        this.history = [];        // applied changes, oldest first
+    }
+
+    // What the file would become if the change is accepted (for diffs)
+    proposed(change) {
+        if (change.kind === 'delete') return '';
+        if (change.kind === 'move') return change.original;
+        return change.content;
+    }
+
+    summary(change) {
+        const { added, removed } = diffLines(change.original, this.proposed(change), { context: 0 });
+        return {
+            id: change.id,
+            kind: change.kind,
+            path: change.path,
+            toPath: change.toPath || null,
+            isNew: change.kind === 'write' && change.original === null,
+            stagedAt: change.stagedAt,
+            added,
+            removed
+        };
+    }
+
+    snapshot() {
+        return {
+            pending: [...this.pending.values()].map(c => this.summary(c)),
+            history: this.history.map(h => ({
+                id: h.id,
+                kind: h.kind,
+                path: h.path,
+                toPath: h.toPath || null,
+                created: h.kind === 'write' && h.before === null,
+                appliedAt: h.appliedAt
+            })).reverse()
+        };
+    }
+
+    /**
+     * Content an edit should be computed against: a pending write to the same file, else the disk
+     */
+    async baseContent(fullPath) {
+        for (const change of this.pending.values()) {
+            if (change.fullPath === fullPath && change.kind === 'write') return change.content;
+        }
+        return await readOrNull(fullPath);
+    }
+
+    add(change) {
+        // A newer proposal for the same file replaces the older one
+        for (const [id, existing] of this.pending) {
+            if (existing.fullPath === change.fullPath) this.pending.delete(id);
+        }
+        change.id = crypto.randomBytes(6).toString('hex');
+        change.stagedAt = Date.now();
+        this.pending.set(change.id, change);
+        this.onChange();
+        return this.summary(change);
+    }
+
+    /**
+     * Stage a proposed write
+     * @param {Object} change - { path (relative, for display), fullPath (already sanitized), content }
+     * @returns {Object|null} Summary, or null when the content is already on disk
+     */
+    async stage({ path: relativePath, fullPath, content }) {
+        const original = await readOrNull(fullPath);
+        if (original === content) {
+            // Proposing what's on disk withdraws an earlier pending write
+            for (const [id, existing] of this.pending) {
+                if (existing.fullPath === fullPath) this.pending.delete(id);
+            }
+            return null;
+        }
+        return this.add({ kind: 'write', path: relativePath, fullPath, content, original });
+    }
+
+    async stageDelete({ path: relativePath, fullPath }) {
+        const original = await readOrNull(fullPath);
+        if (original === null) throw new Error(`${relativePath} does not exist`);
+        return this.add({ kind: 'delete', path: relativePath, fullPath, original });
+    }
+
+    async stageMove({ path: relativePath, fullPath, toPath, toFullPath }) {
+        const original = await readOrNull(fullPath);
+        if (original === null) throw new Error(`${relativePath} does not exist`);
+        if (await readOrNull(toFullPath) !== null) throw new Error(`${toPath} already exists`);
+        return this.add({ kind: 'move', path: relativePath, fullPath, toPath, toFullPath, original });
+    }
+
+    getPending(id) {
+        const change = this.pending.get(id);
+        if (!change) throw new Error('No such pending change');
+        return change;
+    }
+
+    diff(id) {
+        const change = this.getPending(id);
+        return { ...this.summary(change), ...diffLines(change.original, this.proposed(change)) };
+    }
+
+    async accept(id) {
+        const change = this.getPending(id);
+
+        const current = await readOrNull(change.fullPath);
+        if (current !== change.original) {
+            throw new Error(`${change.path} changed on disk after this change was staged. Reject it and ask again.`);
+        }
+
+        if (change.kind === 'write') {
+            await fs.mkdir(path.dirname(change.fullPath), { recursive: true });
+            await fs.writeFile(change.fullPath, change.content, 'utf-8');
+        } else if (change.kind === 'delete') {
+            await fs.unlink(change.fullPath);
+        } else {
+            if (await readOrNull(change.toFullPath) !== null) throw new Error(`${change.toPath} already exists`);
+            await fs.mkdir(path.dirname(change.toFullPath), { recursive: true });
+            await fs.rename(change.fullPath, change.toFullPath);
+        }
+
+        this.pending.delete(id);
+        this.history.push({
+            id: change.id,
+            kind: change.kind,
+            path: change.path,
+            fullPath: change.fullPath,
+            toPath: change.toPath,
+            toFullPath: change.toFullPath,
+            before: change.original,
+            after: change.kind === 'write' ? change.content : null,
+            appliedAt: Date.now()
+        });
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+
+        this.onChange();
+        return change.path;
+    }
+
+    reject(id) {
+        const change = this.getPending(id);
+        this.pending.delete(id);
+        this.onChange();
+        return change.path;
+    }
+
+    /**
+     * Revert an applied change (the most recent one by default)
+     */
+    async undo(id = null) {
+        const index = id ? this.history.findIndex(h => h.id === id) : this.history.length - 1;
+        const entry = this.history[index];
+        if (!entry) throw new Error('Nothing to undo');
+
+        const modified = () => new Error(`${entry.path} was modified after the change was applied; not undoing.`);
+        const current = await readOrNull(entry.fullPath);
+
+        if (entry.kind === 'move') {
+            if (current !== null || await readOrNull(entry.toFullPath) !== entry.before) throw modified();
+            await fs.mkdir(path.dirname(entry.fullPath), { recursive: true });
+            await fs.rename(entry.toFullPath, entry.fullPath);
+        } else {
+            if (current !== entry.after) throw modified();
+            if (entry.before === null) {
+                await fs.unlink(entry.fullPath);
+            } else {
+                await fs.mkdir(path.dirname(entry.fullPath), { recursive: true });
+                await fs.writeFile(entry.fullPath, entry.before, 'utf-8');
+            }
+        }
+
+        this.history.splice(index, 1);
+        this.onChange();
+        return entry.path;
+    }
+}
+
+export default EigenStage;
@@ -0,0 +1,329 @@
+/**
+ * GIT REPO - The Code Panel's Git Pane
+ * Runs the local git binary against the repository the project folder belongs to
+ *
+ * Features:
+ * - Status (staged, unstaged, untracked, conflicted) with branch, upstream and ahead/behind
+ * - File contents on both sides of a staged or unstaged change, for the side-by-side diff view
+ * - Stage, unstage, commit, branches (list, switch, create), log and init
+ * - No remote needed; git never prompts, pages or opens an editor
+ * - Reads (run on every window focus) never start programs named in the repository's config
+ *
+ * Paths are relative to the repository root (which may be above the project folder).
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+
+const GIT_TIMEOUT_MS = 30000;
+const MAX_OUTPUT = 32 * 1024 * 1024;
+const MAX_DIFF_BYTES = 2 * 1024 * 1024;
+
+// Pathspecs from the UI are file names, not patterns
+const GIT_ENV = {
+    GIT_TERMINAL_PROMPT: '0',
+    GIT_PAGER: 'cat',
+    GIT_EDITOR: 'true',
+    GIT_LITERAL_PATHSPECS: '1',
+    GIT_OPTIONAL_LOCKS: '0',
+    LC_ALL: 'C'
+};
+
+// The useful part of git's stderr
+function gitError(stderr, code) {
+    if (/Please tell me who you are/.test(stderr)) {
+        return 'git needs your name and email first: git config --global user.name "..." and user.email "..."';
+    }
+    const lines = stderr.split('\n').map(l => l.trim()).filter(Boolean);
+    const fatal = lines.filter(l => /^(fatal|error):/.test(l));
+    return (fatal.length ? fatal : lines).map(l => l.replace(/^(fatal|error):\s*/, '')).join(' ')
+        || `git exited with code ${code}`;
+}
+
+// Repository config keys whose values git runs as commands while reading
+const FILTER_COMMAND = /^filter\..+\.(clean|smudge|process)$/;
+
+function isBinary(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+}
+
+function checkBranchName(name) {
+    const clean = String(name || '').trim();
+    if (!clean || clean.startsWith('-') || /[\s~^:?*[\\]|\.\.|@\{|\.lock$|\/$|^\/|\.$/.test(clean)) {
+        throw new Error(`"${clean}" is not a valid branch name`);
+    }
+    return clean;
+}
+
+/**
+ * Git Repo
+ */
+export class GitRepo {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getProjectPath - () => the configured project folder
+     * @param {string} options.git - git executable (default: 'git' from PATH)
+     */
+    constructor(options = {}) {
+        this.getProjectPath = options.getProjectPath || (() => null);
+        this.git = options.git || 'git';
+    }
+
+    /**
+     * Run git; resolves with stdout (a Buffer when raw), rejects with git's message
+     * @param {Array} args
+     * @param {Object} options - { cwd, input, raw, allowCodes: exit codes that aren't errors, config: -c overrides }
+     */
+    exec(args, { cwd = null, input = null, raw = false, allowCodes = [0], config = [] } = {}) {
+        return new Promise((resolve, reject) => {
+            const proc = spawn(this.git, [...config.flatMap(c => ['-c', c]), ...args], {
+                cwd: cwd || this.getProjectPath(),
+                env: { ...process.env, ...GIT_ENV },
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+            const out = [];
+            let outBytes = 0;
+            let stderr = '';
+            const timer = setTimeout(() => proc.kill('SIGKILL'), GIT_TIMEOUT_MS);
+
+            proc.stdout.on('data', (chunk) => {
+                outBytes += chunk.length;
+                if (outBytes > MAX_OUTPUT) proc.kill('SIGKILL');
+                else out.push(chunk);
+            });
+            proc.stderr.on('data', (chunk) => { stderr += chunk; });
+            proc.on('error', (e) => {
+                clearTimeout(timer);
+                reject(new Error(e.code === 'ENOENT' ? 'git is not installed (or not on PATH)' : e.message));
+            });
+            proc.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (signal) return reject(new Error(`git ${args[0]} was stopped (${outBytes > MAX_OUTPUT ? 'output too large' : 'timed out'})`));
+                if (!allowCodes.includes(code)) return reject(new Error(gitError(stderr, code)));
+                const buffer = Buffer.concat(out);
+                resolve(raw ? buffer : buffer.toString('utf-8'));
+            });
+
+            proc.stdin.on('error', () => {});
+            proc.stdin.end(input ?? '');
+        });
+    }
+
+    /**
+     * exec for commands that only read: a cloned repository's .git/config could otherwise run
+     * its own programs as core.fsmonitor or a clean/smudge filter
+     */
+    async read(args, options = {}) {
+        const names = await this.exec(['config', '-z', '--name-only', '--get-regexp', '^filter\\.'], { cwd: options.cwd, allowCodes: [0, 1] });
+        const filters = names.split('\0').filter(name => FILTER_COMMAND.test(name)).map(name => `${name}=`);
+        return this.exec(args, { ...options, config: ['core.fsmonitor=false', ...filters] });
+    }
+
+    /**
+     * Repository root, or null when the project folder isn't in a repository
+     */
+    async root() {
+        if (!this.getProjectPath()) return null;
+        try {
+            return path.resolve((await this.exec(['rev-parse', '--show-toplevel'])).trim());
+        } catch (e) {
+            if (/not a git repository/i.test(e.message)) return null;
+            throw e;
+        }
+    }
+
+    async requireRoot() {
+        const root = await this.root();
+        if (!root) throw new Error('The project folder is not a git repository');
+        return root;
+    }
+
+    /**
+     * @returns {Promise<Object>} { repo: false } or
+     *   { repo: true, root, branch, detached, initial, upstream, ahead, behind,
+     *     files: [{ path, origPath, index, worktree, untracked, conflicted }] }
+     *   index / worktree are porcelain letters (M, A, D, R, C, T) or '.' for unchanged
+     */
+    async status() {
+        if (!this.getProjectPath()) return { repo: false };
+        const root = await this.root();
+        if (!root) return { repo: false };
+
+        const out = await this.read(['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all'], { cwd: root });
+        const status = { repo: true, root, branch: null, detached: false, initial: false, upstream: null, ahead: 0, behind: 0, files: [] };
+        const fields = out.split('\0');
+
+        for (let i = 0; i < fields.length; i++) {
+            const line = fields[i];
+            if (!line) continue;
+            if (line.startsWith('# ')) {
+                const [, key, ...rest] = line.split(' ');
+                const value = rest.join(' ');
+                if (key === 'branch.oid') status.initial = value === '(initial)';
+                if (key === 'branch.head') {
+                    status.detached = value === '(detached)';
+                    status.branch = status.detached ? null : value;
+                }
+                if (key === 'branch.upstream') status.upstream = value;
+                if (key === 'branch.ab') {
+                    const [ahead, behind] = rest.map(n => Math.abs(parseInt(n) || 0));
+                    Object.assign(status, { ahead, behind });
+                }
+                continue;
+            }
+
+            const type = line[0];
+            if (type === '?') {
+                status.files.push({ path: line.slice(2), origPath: null, index: '.', worktree: '?', untracked: true, conflicted: false });
+            } else if (type === '1' || type === '2' || type === 'u') {
+                // 1 XY sub mH mI mW hH hI path | 2 ... Xscore path\0orig | u XY sub m1 m2 m3 mW h1 h2 h3 path
+                const skip = type === '1' ? 8 : type === '2' ? 9 : 10;
+                const parts = line.split(' ');
+                const xy = parts[1];
+                status.files.push({
+                    path: parts.slice(skip).join(' '),
+                    origPath: type === '2' ? fields[++i] : null,
+                    index: type === 'u' ? 'U' : xy[0],
+                    worktree: type === 'u' ? 'U' : xy[1],
+                    untracked: false,
+                    conflicted: type === 'u'
+                });
+            }
+        }
+        return status;
+    }
+
+    /**
+     * Both sides of one file's change
+     * @param {Object} options - { path, origPath (renames), staged: HEAD vs index, else index vs working tree }
+     * @returns {Promise<Object>} { path, before, after, isNew, isDeleted, binary }
+     */
+    async diff({ path: filePath, origPath = null, staged = false }) {
+        const root = await this.requireRoot();
+        const blob = async (spec) => {
+            try {
+                return await this.read(['cat-file', 'blob', spec], { cwd: root, raw: true });
+            } catch (e) {
+                return null;
+            }
+        };
+        const working = async () => {
+            const full = path.resolve(root, filePath);
+            if (!full.startsWith(root + path.sep)) throw new Error('Path is outside the repository');
+            const stat = await fs.stat(full).catch(() => null);
+            if (!stat || !stat.isFile()) return null;
+            if (stat.size > MAX_DIFF_BYTES) return Buffer.from('\0');
+            return fs.readFile(full);
+        };
+
+        const before = staged ? await blob(`HEAD:${origPath || filePath}`) : await blob(`:${filePath}`);
+        const after = staged ? await blob(`:${filePath}`) : await working();
+        const binary = [before, after].some(b => b && (b.length > MAX_DIFF_BYTES || isBinary(b)));
+
+        return {
+            path: filePath,
+            origPath,
+            before: binary || !before ? '' : before.toString('utf-8'),
+            after: binary || !after ? '' : after.toString('utf-8'),
+            isNew: !before,
+            isDeleted: !after,
+            binary
+        };
+    }
+
+    async stage(paths) {
+        const root = await this.requireRoot();
+        if (paths.length) await this.exec(['add', '-A', '--', ...paths], { cwd: root });
+    }
+
+    async unstage(paths) {
+        const root = await this.requireRoot();
+        if (!paths.length) return;
+        const { initial } = await this.status();
+        // Nothing to restore from before the first commit
+        if (initial) await this.exec(['rm', '-r', '--cached', '-q', '--', ...paths], { cwd: root });
+        else await this.exec(['restore', '--staged', '--', ...paths], { cwd: root });
+    }
+
+    /**
+     * What a commit message is written from: the staged stat and patch
+     */
+    async stagedDiff() {
+        const root = await this.requireRoot();
+        const [stat, patch] = await Promise.all([
+            this.read(['diff', '--cached', '--stat', '--no-color', '--no-ext-diff', '--no-textconv'], { cwd: root }),
+            this.read(['diff', '--cached', '--no-color', '--no-ext-diff', '--no-textconv'], { cwd: root })
+        ]);
+        return { stat: stat.trim(), patch };
+    }
+
+    /**
+     * Commit what is staged
+     * @returns {Promise<{ hash, subject }>}
+     */
+    async commit(message) {
+        const root = await this.requireRoot();
+        if (!String(message || '').trim()) throw new Error('The commit message is empty');
+        await this.exec(['commit', '-q', '-F', '-'], { cwd: root, input: message });
+        const [hash, subject] = (await this.read(['log', '-1', '--no-show-signature', '--format=%h%x1f%s'], { cwd: root })).trim().split('\x1f');
+        return { hash, subject };
+    }
+
+    /**
+     * Local branches, most recently committed first
+     * @returns {Promise<Array>} { name, current, upstream }
+     */
+    async branches() {
+        const root = await this.requireRoot();
+        const out = await this.read(['for-each-ref', '--sort=-committerdate', '--format=%(refname:short)%1f%(HEAD)%1f%(upstream:short)', 'refs/heads'], { cwd: root });
+        const branches = out.split('\n').filter(Boolean).map(line => {
+            const [name, head, upstream] = line.split('\x1f');
+            return { name, current: head === '*', upstream: upstream || null };
+        });
+        // A new repository's branch has no ref until the first commit
+        const { branch, initial } = await this.status();
+        if (initial && branch && !branches.some(b => b.name === branch)) branches.unshift({ name: branch, current: true, upstream: null });
+        return branches;
+    }
+
+    async switchBranch(name) {
+        const root = await this.requireRoot();
+        await this.exec(['switch', '-q', checkBranchName(name)], { cwd: root });
+    }
+
+    /**
+     * New branch from HEAD, switched to
+     */
+    async createBranch(name) {
+        const root = await this.requireRoot();
+        await this.exec(['switch', '-q', '-c', checkBranchName(name)], { cwd: root });
+    }
+
+    /**
+     * @returns {Promise<Array>} { hash, short, author, date (ISO), subject, refs }
+     */
+    async log(limit = 50) {
+        const root = await this.requireRoot();
+        const { initial } = await this.status();
+        if (initial) return [];
+        const count = Math.max(1, Math.min(500, parseInt(limit) || 50));
+        const out = await this.read(['log', `-n${count}`, '--no-show-signature', '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s%x1f%D%x1e'], { cwd: root });
+        return out.split('\x1e').map(s => s.trim()).filter(Boolean).map(record => {
+            const [hash, short, author, date, subject, refs] = record.split('\x1f');
+            return { hash, short, author, date, subject, refs: refs ? refs.split(', ') : [] };
+        });
+    }
+
+    /**
+     * Make the project folder a repository
+     */
+    async init() {
+        const projectPath = this.getProjectPath();
+        if (!projectPath) throw new Error('No project folder set');
+        if (await this.root()) throw new Error('The project folder is already in a git repository');
+        await this.exec(['init', '-q'], { cwd: projectPath });
+    }
+}
+
+export default GitRepo;
@@ -0,0 +1,181 @@
+/**
+ * GITIGNORE - Which Project Files Git Would Skip
+ * A .gitignore matcher for the project index and the file tree
+ *
+ * Features:
+ * - Wildcards (*, ?, **, [a-z]), negation (!), directory-only rules (trailing /)
+ * - Rules containing a slash are anchored to their .gitignore's folder, others match at any depth
+ * - Nested .gitignore files apply to their own subtree, later rules override earlier ones
+ * - Paths are relative to the project root with forward slashes
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Always skipped, whatever the .gitignore says
+export const ALWAYS_IGNORED = ['.git', 'node_modules'];
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Glob (gitignore flavour) to a RegExp source, without anchors
+ */
+function globToRegex(glob) {
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" = any number of folders, "/**" = everything inside
+                if (glob[i + 2] === '/') {
+                    re += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    re += '.*';
+                    i += 1;
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (ch === '?') {
+            re += '[^/]';
+        } else if (ch === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close < 0) {
+                re += '\\[';
+            } else {
+                const body = glob.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                re += `[${body}]`;
+                i = close;
+            }
+        } else if (ch === '\\' && i + 1 < glob.length) {
+            re += escapeRegex(glob[++i]);
+        } else {
+            re += escapeRegex(ch);
+        }
+    }
+    return re;
+}
+
+/**
+ * One .gitignore line as a rule, or null for blanks and comments
+ * @param {string} base - Folder of the .gitignore, relative to the root ('' for the root)
+ */
+export function parseRule(line, base = '') {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    pattern = pattern.replace(/^\\([#!])/, '$1');
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+    if (!pattern) return null;
+
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    const prefix = base ? `${escapeRegex(base)}/` : '';
+    const source = anchored
+        ? `^${prefix}${globToRegex(pattern)}$`
+        : `^${prefix}(?:.*/)?${globToRegex(pattern)}$`;
+
+    return { negate, dirOnly, regex: new RegExp(source) };
+}
+
+/**
+ * Ignore rules for one project
+ */
+export class GitIgnore {
+    constructor() {
+        this.rules = [];
+    }
+
+    /**
+     * Add the contents of a .gitignore
+     * @param {string} text - File contents
+     * @param {string} base - Its folder relative to the root ('' for the root)
+     */
+    add(text, base = '') {
+        for (const line of String(text).split(/\r?\n/)) {
+            const rule = parseRule(line, base);
+            if (rule) this.rules.push(rule);
+        }
+        return this;
+    }
+
+    /**
+     * Read <root>/<base>/.gitignore if there is one
+     */
+    async load(root, base = '') {
+        try {
+            this.add(await fs.readFile(path.join(root, base, '.gitignore'), 'utf-8'), base);
+        } catch (e) {
+            // No .gitignore here
+        }
+        return this;
+    }
+
+    /**
+     * Is this path ignored? Parents are checked too: nothing inside an ignored folder comes back
+     * @param {string} relPath - Relative to the root, forward slashes
+     * @param {boolean} isDir
+     */
+    ignores(relPath, isDir = false) {
+        const parts = relPath.split('/').filter(Boolean);
+        if (parts.some(p => ALWAYS_IGNORED.includes(p))) return true;
+
+        for (let i = 1; i <= parts.length; i++) {
+            const partial = parts.slice(0, i).join('/');
+            if (this.matches(partial, i < parts.length || isDir)) return true;
+        }
+        return false;
+    }
+
+    matches(relPath, isDir) {
+        let ignored = false;
+        for (const rule of this.rules) {
+            if (rule.dirOnly && !isDir) continue;
+            if (rule.regex.test(relPath)) ignored = !rule.negate;
+        }
+        return ignored;
+    }
+}
+
+/**
+ * Rules for a whole project: the root .gitignore plus every nested one (outside ignored folders)
+ */
+export async function loadGitIgnore(root) {
+    const ignore = new GitIgnore();
+    await ignore.load(root);
+
+    const walk = async (dir) => {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const rel = dir ? `${dir}/${entry.name}` : entry.name;
+            if (ignore.ignores(rel, true)) continue;
+            await ignore.load(root, rel);
+            await walk(rel);
+        }
+    };
+    await walk('');
+    return ignore;
+}
+
+/**
+ * Root-relative path with forward slashes
+ */
+export function toRelative(root, fullPath) {
+    return path.relative(root, fullPath).split(path.sep).join('/');
+}
+
+export default GitIgnore;
@@ -13,6 +13,24 @@ import * as bip39 from 'bip39';
 // Import enhanced modules
 import { VanityForge, checkWalletBalance, validateSuffix, parseSuffixes, NUM_WORKERS } from './wallet_engine.js';
 import { TruthSeeker, SecurityScanner, RelevanceScorer } from './search_agent.js';
+import { ContextBuilder, estimateTokens, truncateToTokens } from './context_builder.js';
+import { ChronicleVectorIndex } from './memory_vectors.js';
+import { ChronicleSearchIndex } from './chronicle_search.js';
+import { ChronicleStore } from './chronicle_store.js';
+import { parseExport } from './chronicle_import.js';
+import { EXPORT_FORMATS, toHTML, toJSON, toMarkdown, escapeHtml } from './chronicle_export.js';
+import { EigenStage, diffLines } from './eigen_stage.js';
+import { CodeAgent } from './code_agent.js';
+import { ProjectIndex } from './project_index.js';
+import { ProjectTree } from './project_tree.js';
+import { ProjectWatcher } from './project_watcher.js';
+import { GitRepo } from './git_repo.js';
+import { toRelative } from './gitignore.js';
+import { CodeSandbox, resolvePolicy } from './code_sandbox.js';
+import { RunnerRegistry } from './code_runners.js';
+import { KernelManager } from './code_kernels.js';
+import { parseEigenOps, stripReadTags, applyUnifiedDiff, applySearchReplace } from './eigen_ops.js';
+import { Vault } from './vault.js';
 
 
 const execPromise = util.promisify(exec);
@@ -23,6 +41,11 @@ const DATA_PATH = app.getPath('userData');
 const MEMORY_FILE = path.join(DATA_PATH, 'priyah_memory.json');
 const CHRONICLES_DIR = path.join(DATA_PATH, 'chronicles');
 const CONFIG_FILE = path.join(DATA_PATH, 'priyah_config.json');
+const PERSONAS_FILE = path.join(DATA_PATH, 'priyah_personas.json');
+const VAULT_FILE = path.join(DATA_PATH, 'priyah_vault.json');
+
+// Config fields that are encrypted when the vault is enabled
+const SECRET_KEYS = ['geminiKey', 'ollamaCloudKey', 'openaiKey'];
 
 // Default Configuration
 let appConfig = {
@@ -30,11 +53,27 @@ let appConfig = {
     preferredModel: "llama3",
     modelSource: "local",
     geminiKey: "",
+    geminiModel: "gemini-1.5-flash",
+    geminiTemperature: 0.7,
+    geminiMaxTokens: 2048,
     councilModel: "llama3",
+    councilMembers: [],
     ollamaHost: "http://127.0.0.1:11434",
     ollamaCloudUrl: "",
     ollamaCloudKey: "",
-    projectPath: ""
+    openaiBaseUrl: "http://127.0.0.1:1234",
+    openaiKey: "",
+    openaiModel: "",
+    maxContextTokens: 32768,
+    embeddingModel: "nomic-embed-text",
+    vaultIdleMinutes: 15,
+    projectPath: "",
+    agentMaxSteps: 8,
+    agentRunCode: false,
+    sandboxNetwork: false,
+    sandboxProject: "ro",
+    sandboxMemoryMb: 512,
+    sandboxCpuSeconds: 20
 };
 
 // --- 2. THE GRIMOIRE (PERSONAS) ---
@@ -46,18 +85,93 @@ const PRESETS = {
     'objective': `SYSTEM: OBJECTIVE EXECUTION MODE. Directives: Factual Accuracy Only. Zero Hallucination. Emotional Neutrality. No pleasantries. Immediate data output.`,
 };
 
+// Display metadata for the built-in presets
+const PRESET_META = {
+    'automation': { name: 'Automation Expert', icon: 'fa-gears' },
+    'prism': { name: 'Prism', icon: 'fa-gem' },
+    'therapist': { name: 'Therapist', icon: 'fa-spa' },
+    'architect': { name: 'Architect', icon: 'fa-compass-drafting' },
+    'objective': { name: 'Objective', icon: 'fa-crosshairs' },
+};
+
+// User-defined personas (loaded from PERSONAS_FILE)
+let userPersonas = [];
+
 const POPULAR_MODELS = [
     "llama3", "llama3.1", "llama3.2", "mistral", "gemma2", "qwen2", "phi3",
     "neural-chat", "starling-lm", "codellama", "deepseek-coder"
 ];
 
-// Allowed languages for code execution (whitelist)
-const ALLOWED_LANGUAGES = ['javascript', 'js', 'python', 'py', 'python3'];
+// Fallback when the Gemini model list can't be fetched
+const GEMINI_MODELS = [
+    "gemini-1.5-flash", "gemini-1.5-pro", "gemini-2.0-flash", "gemini-2.5-flash", "gemini-2.5-pro"
+];
 
 let mainWindow;
 let vanityForge = null;
 let truthSeeker = null;
 
+// In-flight chat generations, keyed by the renderer's stream id
+const activeGenerations = new Map();
+
+// Detected context windows, keyed by "source:model"
+const contextWindowCache = new Map();
+const DEFAULT_CONTEXT_WINDOW = 8192;
+// Whether an Ollama model accepts native tool calls, keyed by "source:model"
+const toolSupportCache = new Map();
+const contextBuilder = new ContextBuilder();
+
+// Optional encryption at rest for chronicles, legacy memory and config secrets
+const vault = new Vault({ file: VAULT_FILE, onLock: handleVaultLock });
+const vaultCodec = { encode: t => vault.encode(t), decode: t => vault.decode(t) };
+
+// Per-session chronicle files (the source of truth for chat history)
+const chronicleStore = new ChronicleStore({ dir: CHRONICLES_DIR, codec: vaultCodec });
+const readChronicle = (filePath) => chronicleStore.readChronicle(filePath);
+
+// Full-text cache of every chronicle; searches and the memory index read from it
+const chronicleSearch = new ChronicleSearchIndex({ listFiles: () => chronicleStore.listFiles(), readChronicle });
+
+// Semantic index over chronicle messages (embeddings come from the local Ollama host)
+const chronicleVectors = new ChronicleVectorIndex({
+    dir: path.join(CHRONICLES_DIR, '.vectors'),
+    getEmbeddingConfig: () => ({ host: sanitizeUrl(appConfig.ollamaHost), model: appConfig.embeddingModel }),
+    readChronicle,
+    codec: vaultCodec
+});
+
+// Eigen file changes wait here for review in the code panel
+const eigenStage = new EigenStage({ onChange: () => sendStatus('eigen-changes', eigenStage.snapshot()) });
+
+// Isolation for execute-code (namespaces on Linux, a restricted process elsewhere)
+const codeSandbox = new CodeSandbox();
+
+// Languages execute-code can run (JavaScript, TypeScript, Python, shell, Go, Rust - whichever are installed)
+const codeRunners = new RunnerRegistry({ sandbox: codeSandbox });
+
+// Persistent Node/Python REPLs behind the Run buttons on chat code blocks, one set per chat session
+const kernelManager = new KernelManager({
+    sandbox: codeSandbox,
+    getProjectPath: () => appConfig.projectPath || null,
+    getPolicy: () => sandboxPolicy(),
+    onStatus: (status) => sendStatus('kernel-status', status)
+});
+
+// One watch on the project folder, shared by the index and the file tree (opened by whichever is used first)
+const projectWatcher = new ProjectWatcher({ onError: (message) => sendError(message) });
+
+// Keyword index of the code mode project; opened on first use, follows changes on disk
+const projectIndex = new ProjectIndex({ watcher: projectWatcher });
+
+// The code panel's file tree: lazy listings, live updates from disk
+const projectTree = new ProjectTree({
+    watcher: projectWatcher,
+    onChange: (change) => sendStatus('project-tree-changed', change)
+});
+
+// The code panel's git pane: the local git binary, run in the project folder
+const gitRepo = new GitRepo({ getProjectPath: () => appConfig.projectPath || null });
+
 // --- 3. CORE UTILITIES ---
 
 function sendStatus(channel, data) {
@@ -81,21 +195,136 @@ async function loadConfig() {
     } catch (e) {
         // First run, use defaults
     }
+    applyVaultSecrets();
 }
 
 async function saveConfig() {
     try {
-        await fs.writeFile(CONFIG_FILE, JSON.stringify(appConfig, null, 2));
+        const toWrite = { ...appConfig };
+        if (vault.enabled) {
+            // Secrets only reach the disk encrypted; while locked the stored envelope is kept as is
+            if (!vault.isLocked) {
+                const secrets = Object.fromEntries(SECRET_KEYS.map(k => [k, appConfig[k] || '']));
+                appConfig.vaultSecrets = vault.encode(JSON.stringify(secrets));
+                toWrite.vaultSecrets = appConfig.vaultSecrets;
+            }
+            SECRET_KEYS.forEach(k => toWrite[k] = '');
+        } else {
+            delete appConfig.vaultSecrets;
+            delete toWrite.vaultSecrets;
+        }
+        await fs.writeFile(CONFIG_FILE, JSON.stringify(toWrite, null, 2));
         if (mainWindow) mainWindow.setTitle(appConfig.assistantName);
     } catch (e) {
         sendError(`Failed to save config: ${e.message}`);
     }
 }
 
+// --- Vault ---
+
+function applyVaultSecrets() {
+    if (!appConfig.vaultSecrets || vault.isLocked) return;
+    try {
+        const secrets = JSON.parse(vault.decode(appConfig.vaultSecrets));
+        SECRET_KEYS.forEach(k => {
+            if (typeof secrets[k] === 'string') appConfig[k] = secrets[k];
+        });
+    } catch (e) {
+        sendError(`Cannot decrypt config secrets: ${e.message}`);
+    }
+}
+
+// Forget everything decrypted when the vault locks
+function handleVaultLock() {
+    SECRET_KEYS.forEach(k => appConfig[k] = '');
+    chronicleSearch.clear();
+    chronicleVectors.unload();
+    contextBuilder.summaryCache.clear();
+    sendStatus('vault-locked', {});
+}
+
+// Catch up on chronicles written while the app was closed (or before the index existed)
+function syncChronicleVectors() {
+    if (vault.isLocked) return;
+    chronicleStore.listFiles()
+        .then(files => chronicleVectors.sync(files))
+        .catch(() => {}); // Best effort, like per-save indexing; recall still has the keyword matches
+}
+
+// Encrypt (or decrypt) every stored file to match the vault state
+async function recodeAllData() {
+    const files = [
+        ...await chronicleStore.listFiles(),
+        ...await chronicleStore.listFiles('.json.orphaned'),
+        MEMORY_FILE,
+        `${MEMORY_FILE}.migrated`
+    ];
+    let failed = 0;
+    for (const filePath of files) {
+        try {
+            await chronicleStore.recodeFile(filePath);
+        } catch (e) {
+            failed++;
+        }
+    }
+    await chronicleVectors.recode().catch(() => {});
+    await saveConfig();
+    chronicleSearch.clear();
+    if (failed > 0) throw new Error(`${failed} file(s) could not be converted`);
+}
+
+// --- Persona storage ---
+
+function normalizePersona(p) {
+    if (!p || typeof p !== 'object') return null;
+    const name = String(p.name || '').trim().substring(0, 60);
+    const prompt = String(p.prompt || '').trim();
+    if (!name || !prompt) return null;
+
+    const temperature = p.temperature === '' || p.temperature == null ? null : Number(p.temperature);
+
+    return {
+        id: typeof p.id === 'string' && /^persona_[\w-]+$/.test(p.id) ? p.id : `persona_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        icon: /^fa-[a-z0-9-]+$/.test(p.icon || '') ? p.icon : 'fa-hat-wizard',
+        prompt,
+        preferredModel: String(p.preferredModel || '').trim(),
+        temperature: Number.isFinite(temperature) ? Math.max(0, Math.min(2, temperature)) : null
+    };
+}
+
+async function loadPersonas() {
+    try {
+        const data = JSON.parse(await fs.readFile(PERSONAS_FILE, 'utf-8'));
+        userPersonas = (Array.isArray(data) ? data : []).map(normalizePersona).filter(Boolean);
+    } catch (e) {
+        userPersonas = [];
+    }
+}
+
+async function savePersonas() {
+    await fs.writeFile(PERSONAS_FILE, JSON.stringify(userPersonas, null, 2));
+}
+
+function getAllPersonas() {
+    const builtins = Object.entries(PRESETS).map(([id, prompt]) => ({
+        id,
+        name: PRESET_META[id]?.name || id,
+        icon: PRESET_META[id]?.icon || 'fa-book',
+        prompt,
+        preferredModel: '',
+        temperature: null,
+        builtin: true
+    }));
+    return [...builtins, ...userPersonas];
+}
+
 // Validate and sanitize file paths to prevent directory traversal
 function sanitizePath(basePath, relativePath) {
     const resolved = path.resolve(basePath, relativePath);
-    if (!resolved.startsWith(path.resolve(basePath))) {
+    // Inside the base, not merely sharing its prefix (/proj vs /proj-backup)
+    const relative = path.relative(path.resolve(basePath), resolved);
+    if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
         throw new Error('Invalid path: directory traversal detected');
     }
     return resolved;
@@ -103,7 +332,9 @@ function sanitizePath(basePath, relativePath) {
 
 // --- 4. WINDOW MANAGEMENT ---
 async function createWindow() {
+    await vault.init();
     await loadConfig();
+    await loadPersonas();
     const iconPath = path.join(__dirname, 'icon.png');
 
     mainWindow = new BrowserWindow({
@@ -125,12 +356,43 @@ async function createWindow() {
 
     mainWindow.loadFile('index.html');
 
+    // The editor blocks unload while files have unsaved changes; ask before throwing them away
+    mainWindow.webContents.on('will-prevent-unload', (event) => {
+        const choice = dialog.showMessageBoxSync(mainWindow, {
+            type: 'question',
+            buttons: ['Discard Changes', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            message: 'Some open files have unsaved changes.',
+            detail: 'Close anyway and lose them?'
+        });
+        if (choice === 0) event.preventDefault();
+    });
+
     mainWindow.on('closed', () => {
         mainWindow = null;
         stopVanityMiner();
     });
 }
 
+// Print an HTML document to PDF in a hidden, script-less window
+async function printHtmlToPdf(html) {
+    const tmp = path.join(app.getPath('temp'), `priyah_print_${process.pid}_${Date.now()}.html`);
+    await fs.writeFile(tmp, html);
+
+    const win = new BrowserWindow({
+        show: false,
+        webPreferences: { javascript: false, sandbox: true }
+    });
+    try {
+        await win.loadFile(tmp);
+        return await win.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+    } finally {
+        win.destroy();
+        await fs.unlink(tmp).catch(() => {});
+    }
+}
+
 // --- 5. THE HYBRID CONSCIOUSNESS ENGINE ---
 
 function sanitizeUrl(url) {
@@ -138,6 +400,8 @@ function sanitizeUrl(url) {
     return url.replace(/\/api\/tags\/?$/, "")
               .replace(/\/api\/chat\/?$/, "")
               .replace(/\/v1\/models\/?$/, "")
+              .replace(/\/v1\/chat\/completions\/?$/, "")
+              .replace(/\/v1\/?$/, "")
               .replace(/\/$/, "");
 }
 
@@ -176,24 +440,278 @@ async function fetchModelsFromHost(host, key = null) {
     return [];
 }
 
-async function queryAI(messages, modelOverride = null) {
+// Read a streamed response body line by line (NDJSON / SSE)
+async function readStreamLines(response, onLine, onActivity = () => {}) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        onActivity();
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim()) onLine(line.trim());
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) onLine(buffer.trim());
+}
+
+async function fetchGeminiModels(key) {
+    if (!key) return [];
+
+    try {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 5000);
+
+        const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${encodeURIComponent(key)}&pageSize=100`, {
+            signal: controller.signal
+        });
+        clearTimeout(timeout);
+
+        if (!res.ok) return [];
+        const data = await res.json();
+        return (data.models || [])
+            .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+            .map(m => m.name.replace(/^models\//, ''));
+    } catch (e) {
+        return [];
+    }
+}
+
+// Split chat messages into Gemini's systemInstruction + user/model turns
+function toGeminiContents(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const contents = [];
+
+    for (const msg of messages) {
+        if (msg.role === 'system') continue;
+        const role = msg.role === 'assistant' ? 'model' : 'user';
+        const last = contents[contents.length - 1];
+
+        // Gemini expects alternating turns - merge consecutive ones
+        if (last && last.role === role) {
+            last.parts[0].text += `\n\n${msg.content}`;
+        } else {
+            contents.push({ role, parts: [{ text: msg.content }] });
+        }
+    }
+
+    return { systemInstruction: system || undefined, contents };
+}
+
+// OpenAI-compatible servers (LM Studio, llama.cpp server, vLLM, LocalAI)
+async function queryOpenAICompatible(messages, model, { onToken = null, signal = null, temperature = null } = {}) {
+    const host = sanitizeUrl(appConfig.openaiBaseUrl);
+    if (!host) throw new Error('OpenAI-compatible base URL not configured');
+    if (!model) throw new Error('No model selected for the OpenAI-compatible server');
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (appConfig.openaiKey) {
+        headers['Authorization'] = `Bearer ${appConfig.openaiKey}`;
+    }
+
+    sendThought("Contacting Oracle", `OpenAI-compatible: ${model}`);
+
+    const controller = new AbortController();
+    let timeout = setTimeout(() => controller.abort(), 120000); // 2 min timeout
+
+    const resetTimeout = () => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => controller.abort(), 120000);
+    };
+
+    signal?.throwIfAborted();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    try {
+        const response = await fetch(`${host}/v1/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal: controller.signal,
+            body: JSON.stringify({
+                model,
+                messages,
+                stream: !!onToken,
+                ...(temperature != null ? { temperature } : {})
+            })
+        });
+
+        if (!response.ok) {
+            clearTimeout(timeout);
+            const txt = await response.text();
+            throw new Error(`OpenAI Error (${response.status}): ${txt.substring(0, 150)}`);
+        }
+
+        if (onToken) {
+            let full = '';
+            // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+            await readStreamLines(response, (line) => {
+                if (!line.startsWith('data:')) return;
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') return;
+
+                const data = JSON.parse(payload);
+                if (data.error) throw new Error(`OpenAI Error: ${data.error.message || data.error}`);
+                const token = data.choices?.[0]?.delta?.content;
+                if (token) {
+                    full += token;
+                    onToken(token);
+                }
+            }, resetTimeout);
+            clearTimeout(timeout);
+            return full;
+        }
+
+        clearTimeout(timeout);
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        return typeof content === 'string' ? content : JSON.stringify(content);
+
+    } catch (e) {
+        clearTimeout(timeout);
+        if (signal?.aborted) throw e;
+        if (e.name === 'AbortError') {
+            throw new Error('Request timeout - AI took too long to respond');
+        }
+        throw e;
+    }
+}
+
+/**
+ * Ask the backend how many tokens a model accepts. Returns null when unknown.
+ */
+async function detectContextWindow(source, model) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+
+    try {
+        if (source === 'gemini') {
+            if (!appConfig.geminiKey) return null;
+            const res = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}?key=${encodeURIComponent(appConfig.geminiKey)}`, {
+                signal: controller.signal
+            });
+            if (!res.ok) return null;
+            const data = await res.json();
+            return parseInt(data.inputTokenLimit) || null;
+        }
+
+        if (source === 'openai') {
+            const host = sanitizeUrl(appConfig.openaiBaseUrl);
+            if (!host) return null;
+            const headers = appConfig.openaiKey ? { 'Authorization': `Bearer ${appConfig.openaiKey}` } : {};
+            const res = await fetch(`${host}/v1/models`, { headers, signal: controller.signal });
+            if (!res.ok) return null;
+            const data = await res.json();
+            const entry = (data.data || []).find(m => m.id === model);
+            // Not part of the OpenAI spec; vLLM, LM Studio and OpenRouter each use their own field
+            return parseInt(entry?.context_length || entry?.max_model_len || entry?.max_context_length) || null;
+        }
+
+        // Ollama (local/cloud): context length lives in model_info as "<arch>.context_length"
+        const isCloud = source === 'cloud';
+        const host = sanitizeUrl(isCloud ? appConfig.ollamaCloudUrl : appConfig.ollamaHost);
+        if (!host) return null;
+        const headers = { 'Content-Type': 'application/json' };
+        if (isCloud && appConfig.ollamaCloudKey) {
+            headers['Authorization'] = `Bearer ${appConfig.ollamaCloudKey}`;
+        }
+        const res = await fetch(`${host}/api/show`, {
+            method: 'POST',
+            headers,
+            signal: controller.signal,
+            body: JSON.stringify({ model, name: model })
+        });
+        if (!res.ok) return null;
+        const data = await res.json();
+        const key = Object.keys(data.model_info || {}).find(k => k.endsWith('.context_length'));
+        return key ? parseInt(data.model_info[key]) || null : null;
+    } catch (e) {
+        return null;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Usable context window for a model, capped by maxContextTokens
+ */
+async function getContextWindow(source, model) {
+    const key = `${source}:${model}`;
+    if (!contextWindowCache.has(key)) {
+        const detected = await detectContextWindow(source, model);
+        // Only successful lookups are cached so a backend that was down gets asked again
+        if (detected) contextWindowCache.set(key, detected);
+    }
+    const cap = parseInt(appConfig.maxContextTokens) || DEFAULT_CONTEXT_WINDOW;
+    return Math.min(contextWindowCache.get(key) || DEFAULT_CONTEXT_WINDOW, cap);
+}
+
+/**
+ * Resolve the model a source would use when no override is given
+ */
+function defaultModelFor(source) {
+    if (source === 'gemini') return appConfig.geminiModel || GEMINI_MODELS[0];
+    if (source === 'openai') return appConfig.openaiModel;
+    return appConfig.preferredModel;
+}
+
+async function queryAI(messages, modelOverride = null, { onToken = null, signal = null, source = null, temperature = null } = {}) {
     const model = modelOverride || appConfig.preferredModel;
+    const modelSource = source || appConfig.modelSource;
 
     // Gemini Path
-    if (appConfig.modelSource === 'gemini') {
+    if (modelSource === 'gemini') {
         if (!appConfig.geminiKey) throw new Error("Gemini API Key not configured");
 
-        sendThought("Contacting Oversoul", "Gemini 1.5 Flash...");
+        const geminiModel = modelOverride || appConfig.geminiModel || GEMINI_MODELS[0];
+        sendThought("Contacting Oversoul", `Gemini: ${geminiModel}`);
+
+        const { systemInstruction, contents } = toGeminiContents(messages);
         const genAI = new GoogleGenerativeAI(appConfig.geminiKey);
-        const m = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+        const m = genAI.getGenerativeModel({
+            model: geminiModel,
+            systemInstruction,
+            generationConfig: {
+                temperature: temperature ?? Number(appConfig.geminiTemperature),
+                maxOutputTokens: parseInt(appConfig.geminiMaxTokens) || undefined
+            }
+        });
+
+        if (onToken) {
+            const result = await m.generateContentStream({ contents }, { signal });
+            let full = '';
+            for await (const chunk of result.stream) {
+                signal?.throwIfAborted();
+                const token = chunk.text();
+                if (token) {
+                    full += token;
+                    onToken(token);
+                }
+            }
+            return full;
+        }
 
-        const prompt = messages.map(msg => `${msg.role.toUpperCase()}: ${msg.content}`).join('\n');
-        const result = await m.generateContent(prompt);
+        const result = await m.generateContent({ contents }, { signal });
+        signal?.throwIfAborted();
         return result.response.text();
     }
 
+    // OpenAI-compatible Path
+    if (modelSource === 'openai') {
+        return await queryOpenAICompatible(messages, modelOverride || appConfig.openaiModel, { onToken, signal, temperature });
+    }
+
     // Ollama Path (Local/Cloud)
-    const isCloud = appConfig.modelSource === 'cloud';
+    const isCloud = modelSource === 'cloud';
     const rawHost = isCloud ? appConfig.ollamaCloudUrl : appConfig.ollamaHost;
     const host = sanitizeUrl(rawHost);
 
@@ -206,8 +724,21 @@ async function queryAI(messages, modelOverride = null) {
 
     sendThought("Contacting Oracle", `${isCloud ? 'Cloud' : 'Local'}: ${model}`);
 
+    // Same num_ctx for every call on a model, otherwise Ollama reloads it
+    const numCtx = await getContextWindow(modelSource, model);
+
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 120000); // 2 min timeout
+    let timeout = setTimeout(() => controller.abort(), 120000); // 2 min timeout
+
+    // User cancellation aborts the underlying request too
+    signal?.throwIfAborted();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    // While streaming, the timeout applies to silence between chunks
+    const resetTimeout = () => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => controller.abort(), 120000);
+    };
 
     try {
         const response = await fetch(`${host}/api/chat`, {
@@ -217,24 +748,44 @@ async function queryAI(messages, modelOverride = null) {
             body: JSON.stringify({
                 model: model,
                 messages: messages,
-                stream: false,
-                options: { num_ctx: 16384 }
+                stream: !!onToken,
+                options: {
+                    num_ctx: numCtx,
+                    ...(temperature != null ? { temperature } : {})
+                }
             })
         });
 
-        clearTimeout(timeout);
-
         if (!response.ok) {
+            clearTimeout(timeout);
             const txt = await response.text();
             throw new Error(`Ollama Error (${response.status}): ${txt.substring(0, 150)}`);
         }
 
+        if (onToken) {
+            let full = '';
+            await readStreamLines(response, (line) => {
+                const data = JSON.parse(line);
+                if (data.error) throw new Error(`Ollama Error: ${data.error}`);
+                const token = data.message?.content;
+                if (token) {
+                    full += token;
+                    onToken(token);
+                }
+            }, resetTimeout);
+            clearTimeout(timeout);
+            return full;
+        }
+
+        clearTimeout(timeout);
+
         const data = await response.json();
         const content = data.message?.content;
         return typeof content === 'string' ? content : JSON.stringify(content);
 
     } catch (e) {
         clearTimeout(timeout);
+        if (signal?.aborted) throw e;
         if (e.name === 'AbortError') {
             throw new Error('Request timeout - AI took too long to respond');
         }
@@ -242,84 +793,487 @@ async function queryAI(messages, modelOverride = null) {
     }
 }
 
+function ollamaConnection(source) {
+    const isCloud = source === 'cloud';
+    const host = sanitizeUrl(isCloud ? appConfig.ollamaCloudUrl : appConfig.ollamaHost);
+    const headers = { 'Content-Type': 'application/json' };
+    if (isCloud && appConfig.ollamaCloudKey) {
+        headers['Authorization'] = `Bearer ${appConfig.ollamaCloudKey}`;
+    }
+    return { host, headers };
+}
+
+/**
+ * Does this model take native tool calls? Only Ollama reports it ("tools" in /api/show capabilities)
+ */
+async function supportsNativeTools(source, model) {
+    if (source !== 'local' && source !== 'cloud') return false;
+    const key = `${source}:${model}`;
+    if (toolSupportCache.has(key)) return toolSupportCache.get(key);
+
+    const { host, headers } = ollamaConnection(source);
+    if (!host) return false;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    try {
+        const res = await fetch(`${host}/api/show`, {
+            method: 'POST',
+            headers,
+            signal: controller.signal,
+            body: JSON.stringify({ model, name: model })
+        });
+        if (!res.ok) return false;
+        const data = await res.json();
+        // Older Ollama versions have no capabilities list; they get the text protocol
+        const supported = Array.isArray(data.capabilities) && data.capabilities.includes('tools');
+        toolSupportCache.set(key, supported);
+        return supported;
+    } catch (e) {
+        return false;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * One Ollama chat turn with tool definitions (not streamed)
+ * @returns {{ content: string, toolCalls: Array }} toolCalls: [{ name, arguments }]
+ */
+async function queryOllamaWithTools(messages, model, { source, tools, signal = null, temperature = null }) {
+    const { host, headers } = ollamaConnection(source);
+    if (!host) throw new Error(`${source === 'cloud' ? 'Cloud' : 'Local'} host not configured`);
+
+    sendThought("Contacting Oracle", `${source === 'cloud' ? 'Cloud' : 'Local'}: ${model} (tools)`);
+    const numCtx = await getContextWindow(source, model);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 120000);
+    signal?.throwIfAborted();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    let data;
+    try {
+        const response = await fetch(`${host}/api/chat`, {
+            method: 'POST',
+            headers,
+            signal: controller.signal,
+            body: JSON.stringify({
+                model,
+                messages,
+                tools,
+                stream: false,
+                options: {
+                    num_ctx: numCtx,
+                    ...(temperature != null ? { temperature } : {})
+                }
+            })
+        });
+
+        if (!response.ok) {
+            const txt = await response.text();
+            throw new Error(`Ollama Error (${response.status}): ${txt.substring(0, 150)}`);
+        }
+        data = await response.json();
+    } catch (e) {
+        if (signal?.aborted) throw e;
+        if (e.name === 'AbortError') throw new Error('Request timeout - AI took too long to respond');
+        throw e;
+    } finally {
+        clearTimeout(timeout);
+    }
+
+    return {
+        content: data.message?.content || '',
+        toolCalls: (data.message?.tool_calls || []).map(c => {
+            let args = c.function?.arguments ?? {};
+            if (typeof args === 'string') {
+                try { args = JSON.parse(args); } catch (e) { args = null; }
+            }
+            return { name: c.function?.name, arguments: args };
+        })
+    };
+}
+
+/**
+ * Summarizer for turns that no longer fit the context window.
+ * Folds new turns into the previous summary so each call stays small.
+ */
+function summarizeHistory(target, contextWindow, signal) {
+    return async (previousSummary, turns, maxTokens) => {
+        sendThought("Condensing Memory", `Summarizing ${turns.length} older turn(s)...`);
+
+        const transcript = turns
+            .map(t => `${t.sender === 'user' ? 'User' : 'Assistant'}: ${t.text}`)
+            .join('\n\n');
+        const words = Math.max(50, Math.floor(maxTokens * 0.7));
+
+        const messages = [
+            {
+                role: "system",
+                content: `You condense conversation history. Write a summary of at most ${words} words. Keep facts, names, decisions, open questions and code identifiers. Output only the summary.`
+            },
+            {
+                role: "user",
+                content: (previousSummary ? `[SUMMARY SO FAR]\n${previousSummary}\n\n` : '') +
+                    `[NEW TURNS]\n${truncateToTokens(transcript, Math.floor(contextWindow / 2))}`
+            }
+        ];
+
+        return await queryAI(messages, target?.model || null, { source: target?.source, signal });
+    };
+}
+
 // --- 6. THE EIGEN PROTOCOL (FILE OPERATIONS) ---
+// Tags are parsed by eigen_ops.js; every change is staged for review (eigen_stage.js),
+// never written straight to disk. <READ> requests are answered in chat-message.
+
+const MAX_READ_ROUNDS = 3;
+const MAX_READ_FILES = 8;
+
+// Returns { response, files } - the response with a note appended, and the staged paths
 async function handleEigenOps(response, projectPath) {
-    if (!projectPath || typeof response !== 'string') return response;
+    if (!projectPath || typeof response !== 'string') return { response, files: [] };
 
-    const regex = /<FILE path="([^"]+)">([\s\S]*?)<\/FILE>/g;
-    let match;
-    let ops = 0;
-    const createdFiles = [];
+    const stagedFiles = [];
+    const describe = (change) => {
+        if (change.kind === 'delete') return 'delete';
+        if (change.kind === 'move') return `move → ${escapeHtml(change.toPath)}`;
+        return change.isNew ? 'new file' : `+${change.added} −${change.removed}`;
+    };
 
-    while ((match = regex.exec(response)) !== null) {
+    for (const op of parseEigenOps(response)) {
+        if (op.type === 'read') continue;
         try {
-            const relativePath = match[1].replace(/^[\/\\]+/, ''); // Remove leading slashes
-            const fullPath = sanitizePath(projectPath, relativePath);
-
-            await fs.mkdir(path.dirname(fullPath), { recursive: true });
-            await fs.writeFile(fullPath, match[2].trim(), 'utf-8');
+            const fullPath = sanitizePath(projectPath, op.path);
+            let change = null;
+
+            if (op.type === 'file') {
+                change = await eigenStage.stage({ path: op.path, fullPath, content: op.content });
+            } else if (op.type === 'patch') {
+                const base = await eigenStage.baseContent(fullPath);
+                change = await eigenStage.stage({ path: op.path, fullPath, content: applyUnifiedDiff(base, op.content) });
+            } else if (op.type === 'edit') {
+                const base = await eigenStage.baseContent(fullPath);
+                change = await eigenStage.stage({ path: op.path, fullPath, content: applySearchReplace(base, op.content) });
+            } else if (op.type === 'delete') {
+                change = await eigenStage.stageDelete({ path: op.path, fullPath });
+            } else if (op.type === 'move') {
+                const toFullPath = sanitizePath(projectPath, op.to);
+                change = await eigenStage.stageMove({ path: op.path, fullPath, toPath: op.to, toFullPath });
+            }
 
-            sendThought("Eigen Scribe", `Created: ${relativePath}`);
-            createdFiles.push(relativePath);
-            ops++;
+            if (change) {
+                sendThought("Eigen Scribe", `Staged for review: ${escapeHtml(op.path)} (${describe(change)})`);
+                stagedFiles.push(op.type === 'move' ? `${op.path} → ${op.to}` : op.path);
+            } else {
+                sendThought("Eigen Scribe", `Unchanged: ${escapeHtml(op.path)}`);
+            }
         } catch (e) {
-            sendThought("Scribe Error", e.message);
+            sendThought("Scribe Error", `${op.type.toUpperCase()} ${escapeHtml(op.path)}: ${escapeHtml(e.message)}`);
         }
     }
 
-    if (ops > 0) {
-        return response + `\n\n*[System: ${ops} file(s) created: ${createdFiles.join(', ')}]*`;
+    if (stagedFiles.length > 0) {
+        return {
+            response: response + `\n\n*[System: ${stagedFiles.length} file change(s) staged for review: ${stagedFiles.join(', ')}]*`,
+            files: stagedFiles
+        };
     }
-    return response;
+    return { response, files: [] };
 }
 
-// --- 7. FILE SYSTEM OPERATIONS ---
-async function getProjectFiles(dirPath, depth = 0, maxDepth = 4) {
-    if (depth > maxDepth) return [];
+// Answer <READ> requests: file contents for a follow-up turn, each cut to its share of maxTokens
+async function readFilesForModel(paths, projectPath, maxTokens) {
+    const unique = [...new Set(paths)].slice(0, MAX_READ_FILES);
+    const share = Math.max(256, Math.floor(maxTokens / Math.max(1, unique.length)));
+    const blocks = [];
+    const listed = [];
 
-    try {
-        const entries = await fs.readdir(dirPath, { withFileTypes: true });
-        const files = [];
-
-        // Sort: directories first, then files
-        const sorted = entries.sort((a, b) => {
-            if (a.isDirectory() && !b.isDirectory()) return -1;
-            if (!a.isDirectory() && b.isDirectory()) return 1;
-            return a.name.localeCompare(b.name);
-        });
+    for (const relativePath of unique) {
+        // Attribute values are escaped so a quote in a path or error can't break the block
+        const pathAttr = escapeHtml(relativePath);
+        try {
+            const fullPath = sanitizePath(projectPath, relativePath);
+            // A staged (not yet accepted) version is what the model is working on
+            const content = await eigenStage.baseContent(fullPath);
+            if (content === null) throw new Error('file not found');
+            blocks.push(`<FILE_CONTENT path="${pathAttr}">\n${truncateToTokens(content, share)}\n</FILE_CONTENT>`);
+            listed.push(escapeHtml(relativePath));
+        } catch (e) {
+            blocks.push(`<FILE_CONTENT path="${pathAttr}" error="${escapeHtml(e.message)}"/>`);
+            listed.push(`${escapeHtml(relativePath)} (${escapeHtml(e.message)})`);
+        }
+    }
+
+    return { text: blocks.join('\n\n'), listed };
+}
 
-        for (const entry of sorted) {
-            // Skip hidden files and common ignored directories
-            if (entry.name.startsWith('.') ||
-                ['node_modules', '__pycache__', 'dist', 'build', '.git'].includes(entry.name)) {
-                continue;
+const MAX_LISTED_FILES = 400;
+
+/**
+ * Tools for the Code mode agent (code_agent.js). Writes go through the stage like Eigen tags;
+ * staged files and search sources are recorded in meta.
+ * @param {Array} runners - Installed code runners (codeRunners.available()), for run_code
+ */
+function createAgentTools(projectPath, meta, runners = []) {
+    const recordFile = (relativePath) => {
+        meta.files = [...new Set([...(meta.files || []), relativePath])];
+    };
+
+    const stageResult = (relativePath, change) => {
+        if (!change) return `${relativePath} is unchanged`;
+        recordFile(relativePath);
+        return change.isNew
+            ? `Staged new file ${relativePath} for review`
+            : `Staged change to ${relativePath} for review (+${change.added} −${change.removed})`;
+    };
+
+    const tools = {
+        list_files: {
+            description: 'List files and folders in the project (whatever .gitignore ignores, .git and node_modules are skipped).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string', description: 'Folder relative to the project root (default: the root)' },
+                    depth: { type: 'integer', description: 'Levels to descend, 1-5 (default 2)' }
+                }
+            },
+            run: async ({ path: dir = '.', depth = 2 }) => {
+                const levels = Math.min(5, Math.max(1, parseInt(depth) || 2));
+                await projectTree.open(projectPath);
+                const tree = await projectTree.walk(toRelative(projectTree.root, sanitizePath(projectPath, dir)), levels);
+                const lines = [];
+                const walk = (nodes) => nodes.forEach(node => {
+                    lines.push(path.relative(projectPath, node.path) + (node.type === 'directory' ? '/' : ''));
+                    if (node.children) walk(node.children);
+                });
+                walk(tree);
+                if (lines.length === 0) return '(empty)';
+                return lines.length > MAX_LISTED_FILES
+                    ? lines.slice(0, MAX_LISTED_FILES).join('\n') + `\n... ${lines.length - MAX_LISTED_FILES} more`
+                    : lines.join('\n');
             }
+        },
 
-            const fullPath = path.join(dirPath, entry.name);
+        read_file: {
+            description: 'Read a project file. Shows pending (staged) changes if there are any.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string', description: 'File path relative to the project root' },
+                    start_line: { type: 'integer', description: 'First line to return (1-based, optional)' },
+                    end_line: { type: 'integer', description: 'Last line to return (optional)' }
+                },
+                required: ['path']
+            },
+            run: async ({ path: relativePath, start_line, end_line }) => {
+                const content = await eigenStage.baseContent(sanitizePath(projectPath, String(relativePath)));
+                if (content === null) throw new Error(`${relativePath} not found`);
+                if (!start_line && !end_line) return content;
+                const lines = content.split('\n');
+                const from = Math.max(1, parseInt(start_line) || 1);
+                const to = Math.min(lines.length, parseInt(end_line) || lines.length);
+                return `(lines ${from}-${to} of ${lines.length})\n` + lines.slice(from - 1, to).join('\n');
+            }
+        },
 
-            if (entry.isDirectory()) {
-                const children = await getProjectFiles(fullPath, depth + 1, maxDepth);
-                files.push({
-                    name: entry.name,
-                    path: fullPath,
-                    type: 'directory',
-                    children
-                });
-            } else {
-                files.push({
-                    name: entry.name,
-                    path: fullPath,
-                    type: 'file'
-                });
+        write_file: {
+            description: 'Create or replace a whole file. The change is staged for the user to review.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string', description: 'File path relative to the project root' },
+                    content: { type: 'string', description: 'Complete new file content' }
+                },
+                required: ['path', 'content']
+            },
+            run: async ({ path: relativePath, content }) => {
+                if (typeof content !== 'string') throw new Error('content must be a string');
+                const fullPath = sanitizePath(projectPath, String(relativePath));
+                return stageResult(relativePath, await eigenStage.stage({ path: relativePath, fullPath, content }));
+            }
+        },
+
+        patch_file: {
+            description: 'Change part of an existing file, either with a unified diff (patch) or by replacing an exact piece of text that occurs once (search + replace). Staged for review.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: { type: 'string', description: 'File path relative to the project root' },
+                    patch: { type: 'string', description: 'Unified diff with @@ hunks' },
+                    search: { type: 'string', description: 'Exact text to replace' },
+                    replace: { type: 'string', description: 'Replacement text' }
+                },
+                required: ['path']
+            },
+            run: async ({ path: relativePath, patch, search, replace }) => {
+                const fullPath = sanitizePath(projectPath, String(relativePath));
+                const base = await eigenStage.baseContent(fullPath);
+                let content;
+                if (typeof patch === 'string' && patch.trim()) {
+                    content = applyUnifiedDiff(base, patch);
+                } else if (typeof search === 'string') {
+                    content = applySearchReplace(base, `<SEARCH>${search}</SEARCH><REPLACE>${replace ?? ''}</REPLACE>`);
+                } else {
+                    throw new Error('give either patch or search and replace');
+                }
+                return stageResult(relativePath, await eigenStage.stage({ path: relativePath, fullPath, content }));
+            }
+        },
+
+        web_search: {
+            description: 'Search the web. Returns verified sources with extracts.',
+            parameters: {
+                type: 'object',
+                properties: { query: { type: 'string', description: 'Search query' } },
+                required: ['query']
+            },
+            run: async ({ query }, { signal }) => {
+                const result = await getTruthSeeker().search(String(query), { candidateLimit: 10, signal });
+                if (!result.results?.length) return 'No verified results found.';
+                const known = new Set((meta.sources || []).map(s => s.url));
+                meta.sources = [...(meta.sources || []), ...toSources(result.results).filter(s => !known.has(s.url))];
+                return getTruthSeeker().formatForContext(result);
             }
         }
+    };
+
+    // Running code is opt-in (Config → Agent may run code)
+    if (appConfig.agentRunCode) {
+        tools.run_code = {
+            description: `Run a short program in a sandbox and return its output (30 s limit, ${appConfig.sandboxNetwork ? 'network allowed' : 'no network'}, project at $PROJECT_DIR). Languages: ${runners.map(r => r.id).join(', ')}.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    language: { type: 'string', description: runners.map(r => r.id).join(', ') },
+                    code: { type: 'string', description: 'Source code to run' }
+                },
+                required: ['language', 'code']
+            },
+            run: async ({ language, code }, { signal }) => {
+                const { success, output } = await runCode(String(language), String(code), {}, signal);
+                return success ? output : `Failed: ${output}`;
+            }
+        };
+    }
+
+    return tools;
+}
+
+// --- 7. FILE SYSTEM OPERATIONS ---
+// A file or folder inside the project (never the project folder itself), for the file operations
+function projectItemPath(target) {
+    if (!appConfig.projectPath) throw new Error('No project folder set');
+    const root = path.resolve(appConfig.projectPath);
+    const full = sanitizePath(root, path.relative(root, path.resolve(root, String(target))));
+    if (full === root) throw new Error('Not allowed on the project folder itself');
+    return full;
+}
+
+// A folder in the project, the root included
+function projectDirPath(target) {
+    if (!appConfig.projectPath) throw new Error('No project folder set');
+    const root = path.resolve(appConfig.projectPath);
+    return sanitizePath(root, path.relative(root, path.resolve(root, String(target || root))));
+}
+
+// New names come from the tree's inline input: one path segment, nothing that climbs out
+function checkItemName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed === '.' || trimmed === '..' || /[\\/\0]/.test(trimmed)) {
+        throw new Error(`Invalid name "${name}"`);
+    }
+    return trimmed;
+}
+
+async function assertFree(target) {
+    if (await fs.access(target).then(() => true, () => false)) {
+        throw new Error(`${path.basename(target)} already exists`);
+    }
+}
+
+// Sandbox policy from config; a request may override network and project access
+function sandboxPolicy(requested = {}) {
+    const { network, project } = requested || {};
+    return resolvePolicy({
+        ...(typeof network === 'boolean' ? { network } : {}),
+        ...(project ? { project } : {})
+    }, {
+        network: appConfig.sandboxNetwork,
+        project: appConfig.sandboxProject,
+        memoryMb: appConfig.sandboxMemoryMb,
+        cpuSeconds: appConfig.sandboxCpuSeconds
+    });
+}
 
-        return files;
+// Run a snippet in the sandbox (execute-code, and the agent's run_code tool, whose Stop aborts signal)
+async function runCode(language, code, requestedPolicy = {}, signal = null) {
+    const policy = sandboxPolicy(requestedPolicy);
+
+    try {
+        const result = await codeRunners.run({
+            language,
+            code,
+            projectPath: appConfig.projectPath || null,
+            policy,
+            signal
+        });
+
+        const output = (result.stdout + result.stderr).trim();
+        return {
+            success: result.success,
+            output: result.success
+                ? output || "Execution completed (no output)"
+                : [output, `Error: ${result.error}`].filter(Boolean).join('\n'),
+            stdout: result.stdout,
+            stderr: result.stderr,
+            error: result.error || null,
+            runner: result.runner || null,
+            isolation: result.level,
+            policy
+        };
     } catch (e) {
-        return [];
+        return { success: false, output: `Error: ${e.message}`, policy };
     }
 }
 
+// Commit message for what is staged, written by the model from the diff
+async function draftCommitMessage() {
+    const { stat, patch } = await gitRepo.stagedDiff();
+    if (!stat) throw new Error('Nothing is staged');
+
+    const source = appConfig.modelSource;
+    const contextWindow = await getContextWindow(source, defaultModelFor(source));
+    const recent = await gitRepo.log(8).catch(() => []);
+    sendThought("Git", "Drafting a commit message from the staged diff...");
+
+    const prompt = [
+        {
+            role: "system",
+            content: "You write git commit messages. Output only the message: a subject line in the imperative mood, at most 72 characters, no trailing period; " +
+                "then, only if the change needs explaining, a blank line and a short body wrapped at 72 columns saying what changed and why. " +
+                "No code fences, no quotes, no preamble."
+        },
+        {
+            role: "user",
+            content: [
+                recent.length ? `Recent commit subjects (match their style):\n${recent.map(c => `- ${c.subject}`).join('\n')}` : '',
+                `Staged files:\n${stat}`,
+                `Staged diff:\n${truncateToTokens(patch, Math.floor(contextWindow / 2))}`
+            ].filter(Boolean).join('\n\n')
+        }
+    ];
+
+    const reply = await queryAI(prompt, null, { temperature: 0.2 });
+    const message = reply
+        .replace(/<think>[\s\S]*?<\/think>/g, '')
+        .replace(/^\s*```[a-z]*\n?|\n?```\s*$/g, '')
+        .replace(/^(commit message|subject):\s*/i, '')
+        .trim();
+    if (!message) throw new Error('The model returned an empty message');
+    return message;
+}
+
 // --- 8. WEB SEARCH (RAG ENGINE) ---
 
 async function verifyUrl(url) {
@@ -344,7 +1298,7 @@ async function verifyUrl(url) {
     }
 }
 
-async function refineQuery(userPrompt, history) {
+async function refineQuery(userPrompt, history, signal = null) {
     const recentContext = history.slice(-4).map(h => `${h.sender}: ${h.text}`).join('\n');
     sendThought("Web Sight", "Refining search intent...");
 
@@ -354,19 +1308,19 @@ async function refineQuery(userPrompt, history) {
     ];
 
     try {
-        const refined = await queryAI(refinementPrompt);
+        const refined = await queryAI(refinementPrompt, null, { signal });
         let clean = refined.replace(/["']/g, '').replace(/^(Here|The|Search|Query).*/i, '').trim();
         if (clean.includes('\n')) clean = clean.split('\n')[0];
         return clean || userPrompt;
     } catch (e) {
+        if (signal?.aborted) throw e;
         return userPrompt;
     }
 }
 
 // --- 9. TRUTH-SEEKER SEARCH (Enhanced) ---
 
-async function performDeepSearch(userPrompt, history, enableLLMScoring = true, searchLimit = 30) {
-    // Initialize TruthSeeker if needed
+function getTruthSeeker() {
     if (!truthSeeker) {
         truthSeeker = new TruthSeeker({
             ollamaHost: appConfig.ollamaHost,
@@ -376,16 +1330,31 @@ async function performDeepSearch(userPrompt, history, enableLLMScoring = true, s
             onStep: (step, detail) => sendThought(`Truth-Seeker: ${step}`, detail)
         });
     }
+    return truthSeeker;
+}
+
+// Kept with the reply so exports can show where answers came from
+function toSources(results) {
+    return results.map(r => ({
+        url: r.url,
+        title: r.title,
+        relevance: r.relevance,
+        security: r.security ? { verdict: r.security.verdict, trusted: !!r.security.trusted, flags: r.security.flags || [] } : null
+    }));
+}
+
+async function performDeepSearch(userPrompt, history, enableLLMScoring = true, searchLimit = 30, signal = null) {
+    getTruthSeeker();
     
     // Refine query first
-    const query = await refineQuery(userPrompt, history);
+    const query = await refineQuery(userPrompt, history, signal);
     
     // Map search limit to depth levels
     const depthName = searchLimit <= 10 ? 'Soft' : searchLimit <= 30 ? 'Medium' : searchLimit <= 60 ? 'Power' : 'Deep';
     sendThought(`Search Depth: ${depthName}`, `Fetching up to ${searchLimit} sources...`);
     
     try {
-        const searchResult = await truthSeeker.search(query, { candidateLimit: searchLimit });
+        const searchResult = await truthSeeker.search(query, { candidateLimit: searchLimit, signal });
         
         if (!searchResult.results || searchResult.results.length === 0) {
             sendThought("Truth-Seeker", "No verified results found.");
@@ -418,20 +1387,99 @@ async function performDeepSearch(userPrompt, history, enableLLMScoring = true, s
             });
         }
         
-        return formattedContext;
+        return { context: formattedContext, sources: toSources(searchResult.results) };
         
     } catch (e) {
+        if (signal?.aborted) throw e;
         sendThought("Truth-Seeker Error", e.message);
         return null;
     }
 }
 
 // Backward compatibility wrapper
-async function performRealSearch(userPrompt, history, searchLimit = 30) {
-    return performDeepSearch(userPrompt, history, true, searchLimit);
+async function performRealSearch(userPrompt, history, searchLimit = 30, signal = null) {
+    return performDeepSearch(userPrompt, history, true, searchLimit, signal);
+}
+
+// --- 10. THE COUNCIL (MULTI-MODEL SYNTHESIS) ---
+
+const MODEL_SOURCES = ['local', 'cloud', 'gemini', 'openai'];
+
+// "gemini:gemini-1.5-pro" -> { source, model }. Bare names are local Ollama models
+// (Ollama tags like "llama3.2:3b" also contain a colon, so only known prefixes split)
+function parseModelRef(ref) {
+    const str = String(ref || '').trim();
+    if (!str) return null;
+
+    const idx = str.indexOf(':');
+    const prefix = idx > 0 ? str.slice(0, idx) : '';
+    if (MODEL_SOURCES.includes(prefix)) {
+        const model = str.slice(idx + 1).trim();
+        return model ? { source: prefix, model } : null;
+    }
+    return { source: 'local', model: str };
+}
+
+function getCouncilMembers() {
+    const configured = (appConfig.councilMembers || []).map(parseModelRef).filter(Boolean);
+    if (configured.length > 0) return configured;
+
+    // Default council: one seat per configured source
+    const members = [{ source: 'local', model: appConfig.preferredModel }];
+    if (appConfig.ollamaCloudUrl) members.push({ source: 'cloud', model: appConfig.preferredModel });
+    if (appConfig.geminiKey) members.push({ source: 'gemini', model: appConfig.geminiModel });
+    if (appConfig.openaiModel) members.push({ source: 'openai', model: appConfig.openaiModel });
+    return members;
+}
+
+async function convokeCouncil(messages, prompt, { onToken = null, signal = null } = {}) {
+    const members = getCouncilMembers();
+    const labels = members.map(m => `${m.source}:${m.model}`);
+    sendThought("Council Convened", labels.map(escapeHtml).join('<br>'));
+
+    const verdicts = await Promise.allSettled(
+        members.map(m => queryAI(messages, m.model, { source: m.source, signal }))
+    );
+    signal?.throwIfAborted();
+
+    const answers = [];
+    verdicts.forEach((v, i) => {
+        if (v.status === 'fulfilled') {
+            answers.push({ label: labels[i], text: v.value });
+            sendThought(`Council: ${labels[i]}`,
+                `<details class="council-answer"><summary>Raw answer (${v.value.length} chars)</summary><div class="council-answer-text">${escapeHtml(v.value)}</div></details>`);
+        } else {
+            sendThought(`Council: ${labels[i]}`, `Absent - ${escapeHtml(v.reason?.message || 'no answer')}`);
+        }
+    });
+
+    if (answers.length === 0) {
+        throw new Error('No council member answered');
+    }
+
+    const arbiter = parseModelRef(appConfig.councilModel) || { source: appConfig.modelSource, model: appConfig.preferredModel };
+    sendThought("Council Arbiter", `Synthesizing ${answers.length} answer(s) with ${escapeHtml(`${arbiter.source}:${arbiter.model}`)}`);
+
+    const synthesis = [
+        messages[0],
+        {
+            role: "system",
+            content: `You are the COUNCIL ARBITER. Several models answered the same request independently.
+- Write ONE final answer to the user's request, combining the strongest points.
+- Prefer claims the members agree on; resolve contradictions where you can.
+- End with a short "Council Notes" section listing where the members AGREED and where they DISAGREED (name the members).`
+        },
+        {
+            role: "user",
+            content: `Request: ${prompt}\n\n` +
+                answers.map(a => `[MEMBER ${a.label}]\n${a.text}`).join('\n\n')
+        }
+    ];
+
+    return await queryAI(synthesis, arbiter.model, { source: arbiter.source, onToken, signal });
 }
 
-// --- 10. THE FORGE (VANITY MINER) - Worker Thread Pool ---
+// --- 11. THE FORGE (VANITY MINER) - Worker Thread Pool ---
 
 function initializeVanityForge() {
     const forgePath = path.join(DATA_PATH, 'forge_wallets');
@@ -502,7 +1550,7 @@ function stopVanityMiner() {
     }
 }
 
-// --- 11. BOOTSTRAP & IPC ---
+// --- 12. BOOTSTRAP & IPC ---
 
 app.whenReady().then(() => {
 
@@ -532,7 +1580,8 @@ app.whenReady().then(() => {
         return {
             ...appConfig,
             geminiKey: appConfig.geminiKey ? '********' : '',
-            ollamaCloudKey: appConfig.ollamaCloudKey ? '********' : ''
+            ollamaCloudKey: appConfig.ollamaCloudKey ? '********' : '',
+            openaiKey: appConfig.openaiKey ? '********' : ''
         };
     });
 
@@ -540,7 +1589,10 @@ app.whenReady().then(() => {
 
     ipcMain.handle('get-models', async (e, overrides) => {
         const cfg = { ...appConfig, ...overrides };
-        let models = { local: [], cloud: [] };
+        if (cfg.geminiKey === '********') cfg.geminiKey = appConfig.geminiKey;
+        if (cfg.ollamaCloudKey === '********') cfg.ollamaCloudKey = appConfig.ollamaCloudKey;
+        if (cfg.openaiKey === '********') cfg.openaiKey = appConfig.openaiKey;
+        let models = { local: [], cloud: [], gemini: [], openai: [] };
 
         try {
             models.local = await fetchModelsFromHost(cfg.ollamaHost);
@@ -562,6 +1614,17 @@ app.whenReady().then(() => {
             models.cloud = [...new Set([...models.cloud, ...POPULAR_MODELS])];
         }
 
+        models.gemini = await fetchGeminiModels(cfg.geminiKey);
+        if (!models.gemini.length) {
+            models.gemini = GEMINI_MODELS;
+        }
+
+        if (cfg.openaiBaseUrl) {
+            try {
+                models.openai = await fetchModelsFromHost(cfg.openaiBaseUrl, cfg.openaiKey);
+            } catch (e) {}
+        }
+
         return models;
     });
 
@@ -569,12 +1632,131 @@ app.whenReady().then(() => {
         // Restore actual keys if masked
         if (cfg.geminiKey === '********') cfg.geminiKey = appConfig.geminiKey;
         if (cfg.ollamaCloudKey === '********') cfg.ollamaCloudKey = appConfig.ollamaCloudKey;
+        if (cfg.openaiKey === '********') cfg.openaiKey = appConfig.openaiKey;
 
         appConfig = { ...appConfig, ...cfg };
+        // A new project folder is indexed on the next code mode message
+        if (projectIndex.root && projectIndex.root !== path.resolve(appConfig.projectPath || '')) projectIndex.close();
+        if (projectTree.root && projectTree.root !== path.resolve(appConfig.projectPath || '')) projectTree.close();
+        if (projectWatcher.root && projectWatcher.root !== path.resolve(appConfig.projectPath || '')) projectWatcher.close();
+        // Hosts or keys may have changed; re-detect context windows lazily
+        contextWindowCache.clear();
+        toolSupportCache.clear();
+        vault.setIdleMinutes(appConfig.vaultIdleMinutes);
         await saveConfig();
         return true;
     });
 
+    // --- IPC: Vault ---
+    ipcMain.handle('vault-status', async () => ({
+        enabled: vault.enabled,
+        locked: vault.isLocked,
+        idleMinutes: appConfig.vaultIdleMinutes
+    }));
+
+    ipcMain.handle('vault-unlock', async (e, passphrase) => {
+        await vault.unlock(passphrase);
+        vault.setIdleMinutes(appConfig.vaultIdleMinutes);
+        applyVaultSecrets();
+        syncChronicleVectors();
+        return true;
+    });
+
+    ipcMain.handle('vault-lock', async () => {
+        vault.lock();
+        return true;
+    });
+
+    ipcMain.handle('vault-enable', async (e, passphrase) => {
+        await vault.create(passphrase);
+        vault.setIdleMinutes(appConfig.vaultIdleMinutes);
+        await recodeAllData();
+        return true;
+    });
+
+    // Change the passphrase; the data key (and so every chronicle) stays the same
+    ipcMain.handle('vault-rekey', async (e, { current, next }) => {
+        await vault.rekey(current, next);
+        await chronicleVectors.recode().catch(() => {});
+        return true;
+    });
+
+    ipcMain.handle('vault-disable', async (e, passphrase) => {
+        await vault.beginDisable(passphrase);
+        try {
+            await recodeAllData();
+        } catch (err) {
+            // Keep the vault (and its key) so the files that are still encrypted stay readable
+            vault.cancelDisable();
+            throw err;
+        }
+        await vault.finishDisable();
+        return true;
+    });
+
+    // Renderer activity postpones lock-on-idle
+    ipcMain.on('vault-activity', () => vault.touch());
+
+    // --- IPC: Grimoire (Personas) ---
+    ipcMain.handle('get-personas', async () => getAllPersonas());
+
+    ipcMain.handle('save-persona', async (e, persona) => {
+        if (persona?.id && PRESETS[persona.id]) {
+            throw new Error('Built-in presets cannot be edited - duplicate it instead');
+        }
+        const clean = normalizePersona(persona);
+        if (!clean) throw new Error('A persona needs a name and a system prompt');
+
+        const idx = userPersonas.findIndex(p => p.id === clean.id);
+        if (idx >= 0) userPersonas[idx] = clean;
+        else userPersonas.push(clean);
+
+        await savePersonas();
+        return clean;
+    });
+
+    ipcMain.handle('delete-persona', async (e, id) => {
+        userPersonas = userPersonas.filter(p => p.id !== id);
+        await savePersonas();
+        return true;
+    });
+
+    ipcMain.handle('export-personas', async (e, ids = null) => {
+        const selected = ids ? userPersonas.filter(p => ids.includes(p.id)) : userPersonas;
+        const res = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: 'priyah_personas.json',
+            filters: [{ name: 'JSON', extensions: ['json'] }]
+        });
+        if (res.canceled || !res.filePath) return 0;
+
+        await fs.writeFile(res.filePath, JSON.stringify(selected, null, 2));
+        return selected.length;
+    });
+
+    ipcMain.handle('import-personas', async () => {
+        const res = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile'],
+            filters: [{ name: 'JSON', extensions: ['json'] }]
+        });
+        if (res.canceled || !res.filePaths[0]) return 0;
+
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(res.filePaths[0], 'utf-8'));
+        } catch (err) {
+            throw new Error(`Cannot import personas: ${err.message}`);
+        }
+
+        // Imports always get fresh ids so they never overwrite existing personas
+        const imported = (Array.isArray(data) ? data : [data])
+            .map(p => normalizePersona({ ...p, id: null }))
+            .filter(Boolean);
+
+        userPersonas.push(...imported);
+        await savePersonas();
+        return imported.length;
+    });
+
     // --- IPC: Filesystem ---
     ipcMain.handle('select-folder', async () => {
         const res = await dialog.showOpenDialog(mainWindow, {
@@ -583,177 +1765,404 @@ app.whenReady().then(() => {
         return res.filePaths[0] || null;
     });
 
-    ipcMain.handle('get-project-files', async (e, dirPath) => {
-        if (!dirPath) return [];
-        return await getProjectFiles(dirPath);
+    // --- IPC: Project Files (code panel tree) ---
+    // relDir: folder relative to the project root ('' = root); listing one starts the watcher
+    ipcMain.handle('list-project-dir', async (e, relDir = '') => {
+        if (!appConfig.projectPath) return [];
+        try {
+            await projectTree.open(appConfig.projectPath);
+            const dir = sanitizePath(projectTree.root, relDir);
+            return await projectTree.list(toRelative(projectTree.root, dir));
+        } catch (err) {
+            throw new Error(`Cannot list folder: ${err.message}`);
+        }
+    });
+
+    ipcMain.handle('create-project-item', async (e, { parent, name, type }) => {
+        try {
+            const target = sanitizePath(projectDirPath(parent), checkItemName(name));
+            await assertFree(target);
+            if (type === 'directory') await fs.mkdir(target);
+            else await fs.writeFile(target, '', { encoding: 'utf-8', flag: 'wx' });
+            projectIndex.updateFile(target);
+            return target;
+        } catch (err) {
+            throw new Error(`Cannot create ${name}: ${err.message}`);
+        }
+    });
+
+    ipcMain.handle('rename-project-item', async (e, { path: itemPath, name }) => {
+        try {
+            const from = projectItemPath(itemPath);
+            const to = sanitizePath(path.dirname(from), checkItemName(name));
+            if (to === from) return to;
+            // A case-only rename is the same file on case-insensitive disks
+            if (to.toLowerCase() !== from.toLowerCase()) await assertFree(to);
+            await fs.rename(from, to);
+            projectIndex.updateFile(from);
+            projectIndex.updateFile(to);
+            return to;
+        } catch (err) {
+            throw new Error(`Cannot rename: ${err.message}`);
+        }
+    });
+
+    ipcMain.handle('move-project-item', async (e, { path: itemPath, targetDir }) => {
+        try {
+            const from = projectItemPath(itemPath);
+            const dir = projectDirPath(targetDir);
+            if (dir === from || dir.startsWith(from + path.sep)) throw new Error('A folder cannot move into itself');
+            const to = path.join(dir, path.basename(from));
+            if (to === from) return to;
+            await assertFree(to);
+            await fs.rename(from, to);
+            projectIndex.updateFile(from);
+            projectIndex.updateFile(to);
+            return to;
+        } catch (err) {
+            throw new Error(`Cannot move: ${err.message}`);
+        }
+    });
+
+    // Deleted items go to the system trash
+    ipcMain.handle('delete-project-item', async (e, itemPath) => {
+        try {
+            const target = projectItemPath(itemPath);
+            await shell.trashItem(target);
+            projectIndex.updateFile(target);
+            return true;
+        } catch (err) {
+            throw new Error(`Cannot delete: ${err.message}`);
+        }
     });
 
+    // Returns { content, mtime }; the editor keeps mtime to notice changes made outside it
     ipcMain.handle('read-file-content', async (e, filePath) => {
         try {
             // Security: ensure file is within project path
             if (appConfig.projectPath) {
                 sanitizePath(appConfig.projectPath, path.relative(appConfig.projectPath, filePath));
             }
-            return await fs.readFile(filePath, 'utf-8');
+            const [content, stat] = await Promise.all([fs.readFile(filePath, 'utf-8'), fs.stat(filePath)]);
+            return { content, mtime: stat.mtimeMs };
         } catch (e) {
             throw new Error(`Cannot read file: ${e.message}`);
         }
     });
 
-    ipcMain.handle('save-file-content', async (e, { path: filePath, content }) => {
+    // expectedMtime: what the editor loaded. If the file changed since, nothing is written and
+    // { conflict: true } comes back; force skips the check
+    ipcMain.handle('save-file-content', async (e, { path: filePath, content, expectedMtime = null, force = false }) => {
         try {
             if (appConfig.projectPath) {
                 sanitizePath(appConfig.projectPath, path.relative(appConfig.projectPath, filePath));
             }
+            if (!force && expectedMtime !== null) {
+                const current = await fs.stat(filePath).then(s => s.mtimeMs, () => null);
+                if (current !== expectedMtime) return { conflict: true, mtime: current };
+            }
             await fs.writeFile(filePath, content, 'utf-8');
-            return true;
+            projectIndex.updateFile(filePath);
+            return { saved: true, mtime: (await fs.stat(filePath)).mtimeMs };
         } catch (e) {
             throw new Error(`Cannot save file: ${e.message}`);
         }
     });
 
-    // --- IPC: Memory Palace (Chronicles) ---
-    
-    // Helper: Get chronicle file path for a date
-    function getChroniclePathForDate(date) {
-        const d = new Date(date);
-        const year = d.getFullYear();
-        const month = String(d.getMonth() + 1).padStart(2, '0');
-        const day = String(d.getDate()).padStart(2, '0');
-        return path.join(CHRONICLES_DIR, String(year), month, day);
-    }
+    // Current mtimes of open editor files (null = deleted)
+    ipcMain.handle('file-stats', async (e, paths = []) => {
+        const stats = {};
+        for (const filePath of paths.slice(0, 100)) {
+            try {
+                if (appConfig.projectPath) {
+                    sanitizePath(appConfig.projectPath, path.relative(appConfig.projectPath, filePath));
+                }
+                stats[filePath] = (await fs.stat(filePath)).mtimeMs;
+            } catch (err) {
+                stats[filePath] = null;
+            }
+        }
+        return stats;
+    });
 
-    // Helper: Generate summary from messages
-    function generateSummary(messages) {
-        if (!messages || messages.length === 0) return 'Empty session';
-        const userMsgs = messages.filter(m => m.sender === 'user').slice(0, 3);
-        return userMsgs.map(m => m.text.substring(0, 50)).join(' | ') || 'Chat session';
-    }
+    // --- IPC: Eigen Review ---
+    ipcMain.handle('eigen-changes', async () => eigenStage.snapshot());
 
-    // Helper: Extract keywords from messages
-    function extractKeywords(messages) {
-        if (!messages) return [];
-        const text = messages.map(m => m.text).join(' ').toLowerCase();
-        const words = text.split(/\W+/).filter(w => w.length > 4);
-        const freq = {};
-        words.forEach(w => freq[w] = (freq[w] || 0) + 1);
-        return Object.entries(freq)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10)
-            .map(([word]) => word);
-    }
+    ipcMain.handle('eigen-diff', async (e, id) => eigenStage.diff(id));
 
-    // Load memory (backwards compatible - also loads from chronicles)
-    ipcMain.handle('load-memory', async () => {
+    ipcMain.handle('eigen-accept', async (e, id) => {
         try {
-            // First try legacy file
-            const data = await fs.readFile(MEMORY_FILE, 'utf-8');
-            return JSON.parse(data);
-        } catch {
-            return [];
+            return await eigenStage.accept(id);
+        } catch (err) {
+            throw new Error(`Cannot apply change: ${err.message}`);
         }
     });
 
-    // Save memory (saves to both legacy file and chronicles)
-    ipcMain.handle('save-memory', async (e, sessions) => {
+    ipcMain.handle('eigen-reject', async (e, id) => eigenStage.reject(id));
+
+    ipcMain.handle('eigen-undo', async (e, id = null) => {
         try {
-            // Save to legacy file for backwards compatibility
-            await fs.writeFile(MEMORY_FILE, JSON.stringify(sessions, null, 2));
-            
-            // Also save each session to chronicles folder structure
-            for (const session of sessions) {
-                if (session.messages && session.messages.length > 0) {
-                    const sessionDate = new Date(session.timestamp || Date.now());
-                    const chroniclePath = getChroniclePathForDate(sessionDate);
-                    
-                    // Create directory structure
-                    await fs.mkdir(chroniclePath, { recursive: true });
-                    
-                    // Create session file
-                    const filename = `session_${sessionDate.getTime()}.json`;
-                    const filePath = path.join(chroniclePath, filename);
-                    
-                    // Only save if file doesn't exist (don't overwrite)
-                    try {
-                        await fs.access(filePath);
-                    } catch {
-                        // File doesn't exist, save it
-                        const chronicleData = {
-                            id: session.timestamp || sessionDate.getTime(),
-                            date: sessionDate.toISOString(),
-                            name: session.name || 'Untitled',
-                            summary: generateSummary(session.messages),
-                            keywords: extractKeywords(session.messages),
-                            messageCount: session.messages.length,
-                            messages: session.messages
-                        };
-                        await fs.writeFile(filePath, JSON.stringify(chronicleData, null, 2));
-                    }
-                }
+            return await eigenStage.undo(id);
+        } catch (err) {
+            throw new Error(`Cannot undo: ${err.message}`);
+        }
+    });
+
+    // --- IPC: Git ---
+    // Paths are relative to the repository root; every call re-reads the repository state
+    ipcMain.handle('git-status', async () => gitRepo.status());
+
+    ipcMain.handle('git-diff', async (e, { path: filePath, origPath = null, staged = false }) => {
+        const diff = await gitRepo.diff({ path: filePath, origPath, staged });
+        const lines = diff.binary ? { rows: [], added: 0, removed: 0 } : diffLines(diff.before, diff.after);
+        return {
+            path: diff.path,
+            origPath: diff.origPath,
+            isNew: diff.isNew,
+            isDeleted: diff.isDeleted,
+            binary: diff.binary,
+            ...lines
+        };
+    });
+
+    ipcMain.handle('git-stage', async (e, paths) => gitRepo.stage(paths));
+    ipcMain.handle('git-unstage', async (e, paths) => gitRepo.unstage(paths));
+
+    ipcMain.handle('git-draft-message', async () => {
+        try {
+            return await draftCommitMessage();
+        } catch (err) {
+            throw new Error(`Cannot draft a message: ${err.message}`);
+        }
+    });
+
+    ipcMain.handle('git-commit', async (e, message) => gitRepo.commit(message));
+    ipcMain.handle('git-branches', async () => gitRepo.branches());
+    ipcMain.handle('git-switch-branch', async (e, name) => gitRepo.switchBranch(name));
+    ipcMain.handle('git-create-branch', async (e, name) => gitRepo.createBranch(name));
+    ipcMain.handle('git-log', async (e, limit = 50) => gitRepo.log(limit));
+    ipcMain.handle('git-init', async () => gitRepo.init());
+
+    // --- IPC: Memory Palace (Chronicles) ---
+
+    // Load sessions from chronicles (merging the legacy memory file the first time)
+    ipcMain.handle('load-memory', async () => {
+        try {
+            const migrated = await chronicleStore.migrateLegacy(MEMORY_FILE);
+            if (migrated && (migrated.written > 0 || migrated.orphaned > 0)) {
+                sendThought("Memory Palace", `Migrated ${migrated.written} legacy session(s) into chronicles` +
+                    (migrated.orphaned ? `; set aside ${migrated.orphaned} chronicle(s) of deleted sessions (*.json.orphaned)` : ''));
             }
-            
-            return true;
         } catch (e) {
-            throw new Error(`Cannot save memory: ${e.message}`);
+            sendError(`Legacy memory migration failed: ${e.message}`);
         }
+        return await chronicleStore.loadSessions();
     });
 
-    // Get Memory Index (scan chronicles folder)
-    ipcMain.handle('get-memory-index', async () => {
-        const index = [];
-        
+    // Save one session's chronicle (called after every turn, rename, etc.)
+    ipcMain.handle('save-session', async (e, session) => {
         try {
-            // Scan chronicles directory
-            const years = await fs.readdir(CHRONICLES_DIR).catch(() => []);
-            
-            for (const year of years) {
-                const yearPath = path.join(CHRONICLES_DIR, year);
-                const months = await fs.readdir(yearPath).catch(() => []);
-                
-                for (const month of months) {
-                    const monthPath = path.join(yearPath, month);
-                    const days = await fs.readdir(monthPath).catch(() => []);
-                    
-                    for (const day of days) {
-                        const dayPath = path.join(monthPath, day);
-                        const files = await fs.readdir(dayPath).catch(() => []);
-                        
-                        for (const file of files) {
-                            if (file.endsWith('.json')) {
-                                try {
-                                    const filePath = path.join(dayPath, file);
-                                    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
-                                    index.push({
-                                        id: data.id,
-                                        date: data.date,
-                                        name: data.name,
-                                        summary: data.summary,
-                                        keywords: data.keywords || [],
-                                        messageCount: data.messageCount || 0,
-                                        path: filePath
-                                    });
-                                } catch (e) {
-                                    // Skip invalid files
-                                }
-                            }
+            const saved = await chronicleStore.saveSession(session);
+            if (!saved) return false;
+
+            await chronicleSearch.invalidate(saved.path);
+            // Embed in the background; saving shouldn't wait on the model
+            chronicleVectors.indexChronicle(saved.path, saved.chronicle).catch(() => {});
+            return true;
+        } catch (e) {
+            throw new Error(`Cannot save chronicle: ${e.message}`);
+        }
+    });
+
+    // Delete a session's chronicle
+    ipcMain.handle('delete-session', async (e, timestamp) => {
+        const removed = await chronicleStore.deleteSession(timestamp);
+        if (removed) {
+            await chronicleSearch.invalidate(removed);
+            chronicleVectors.removeChronicle(removed).catch(() => {});
+        }
+        return !!removed;
+    });
+
+    // Import conversations exported from ChatGPT / Open WebUI as chronicles
+    ipcMain.handle('import-chronicles', async () => {
+        const res = await dialog.showOpenDialog(mainWindow, {
+            properties: ['openFile', 'multiSelections'],
+            filters: [{ name: 'Chat exports', extensions: ['json'] }]
+        });
+        if (res.canceled || res.filePaths.length === 0) return null;
+
+        const result = { imported: 0, duplicates: 0, skipped: 0, formats: [] };
+        const usedPaths = new Set();
+
+        for (const file of res.filePaths) {
+            let parsed;
+            try {
+                parsed = parseExport(JSON.parse(await fs.readFile(file, 'utf-8')));
+            } catch (err) {
+                throw new Error(`Cannot import ${path.basename(file)}: ${err.message}`);
+            }
+            if (!result.formats.includes(parsed.format)) result.formats.push(parsed.format);
+            result.skipped += parsed.skipped;
+
+            for (const session of parsed.sessions) {
+                // Chronicles are keyed by start time: re-importing the same export skips what's already there,
+                // a different conversation that started in the same millisecond moves up by one
+                let time = new Date(session.timestamp).getTime();
+                let duplicate = false;
+                while (true) {
+                    const filePath = chronicleStore.pathForSession(time);
+                    if (!usedPaths.has(filePath)) {
+                        const existing = await chronicleStore.readChronicle(filePath).catch(err => {
+                            if (err.code === 'ENOENT') return null;
+                            if (err.code === 'VAULT_LOCKED') throw err;
+                            return {}; // Unreadable file: leave it alone and take the next slot
+                        });
+                        if (!existing) break;
+                        if (existing.name === session.name) {
+                            duplicate = true;
+                            break;
                         }
                     }
+                    time++;
+                }
+                if (duplicate) {
+                    result.duplicates++;
+                    continue;
+                }
+
+                const saved = await chronicleStore.saveSession({ ...session, timestamp: new Date(time).toISOString() });
+                if (!saved) {
+                    result.skipped++;
+                    continue;
                 }
+                usedPaths.add(saved.path);
+                await chronicleSearch.invalidate(saved.path);
+                result.imported++;
             }
-        } catch (e) {
-            // Chronicles folder doesn't exist yet
         }
-        
-        // Sort by date, newest first
-        index.sort((a, b) => new Date(b.date) - new Date(a.date));
-        return index;
+
+        // Embed the new chronicles in the background
+        if (result.imported > 0) syncChronicleVectors();
+        return result;
+    });
+
+    // Export one chronicle (timestamp) or every chronicle in a date range as HTML, PDF, JSON or Markdown
+    ipcMain.handle('export-chronicles', async (e, { format = 'html', timestamp = null, from = null, to = null } = {}) => {
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+        let chronicles = [];
+        if (timestamp) {
+            try {
+                chronicles.push(await chronicleStore.readChronicle(chronicleStore.pathForSession(timestamp)));
+            } catch (err) {
+                throw new Error(`Cannot read chronicle: ${err.message}`);
+            }
+        } else {
+            const fromTime = from ? new Date(from).getTime() : -Infinity;
+            const toTime = to ? new Date(to).getTime() : Infinity;
+            for (const filePath of await chronicleStore.listFiles()) {
+                try {
+                    const data = await chronicleStore.readChronicle(filePath);
+                    const time = new Date(data.date).getTime();
+                    if (time >= fromTime && time <= toTime) chronicles.push(data);
+                } catch (err) {
+                    if (err.code === 'VAULT_LOCKED') throw err;
+                    // Skip invalid files
+                }
+            }
+            chronicles.sort((a, b) => new Date(a.date) - new Date(b.date));
+        }
+        if (chronicles.length === 0) return { count: 0 };
+
+        const baseName = timestamp
+            ? (chronicles[0].name || 'chronicle').replace(/[^a-z0-9]/gi, '_')
+            : `priyah_chronicles_${from ? from.substring(0, 10) : 'start'}_to_${to ? to.substring(0, 10) : 'now'}`;
+        const res = await dialog.showSaveDialog(mainWindow, {
+            defaultPath: `${baseName}.${spec.extension}`,
+            filters: [{ name: spec.name, extensions: [spec.extension] }]
+        });
+        if (res.canceled || !res.filePath) return null;
+
+        const range = timestamp ? null : { from, to };
+        let data;
+        if (format === 'json') data = toJSON(chronicles, { range });
+        else if (format === 'md') data = toMarkdown(chronicles);
+        else if (format === 'pdf') data = await printHtmlToPdf(toHTML(chronicles, { expand: true }));
+        else data = toHTML(chronicles);
+
+        await fs.writeFile(res.filePath, data);
+        return { count: chronicles.length, path: res.filePath };
+    });
+
+    // Helper: Chronicle index (no message bodies), newest first
+    async function buildMemoryIndex() {
+        return await chronicleSearch.list();
+    }
+
+    // Helper: Words the same way extractKeywords counts them
+    function keywordSet(text) {
+        return new Set(String(text || '').toLowerCase().split(/\W+/).filter(w => w.length > 4));
+    }
+
+    // Helper: Find past chronicles whose keywords overlap the prompt
+    async function recallChronicles(prompt, history, { excludeId = null, limit = 3 } = {}) {
+        // The last couple of user turns help with short follow-ups ("and the other one?")
+        const recentUser = (history || []).filter(h => h.sender === 'user').slice(-3).map(h => h.text);
+        const terms = keywordSet([prompt, ...recentUser].join(' '));
+        if (terms.size === 0) return [];
+
+        const index = await buildMemoryIndex();
+        const matches = index
+            .filter(c => excludeId == null || String(c.id) !== String(excludeId))
+            .map(c => {
+                const keywordHits = (c.keywords || []).filter(k => terms.has(k));
+                // Name and summary words count too, but less than stored keywords
+                const titleHits = [...keywordSet(`${c.name} ${c.summary}`)]
+                    .filter(w => terms.has(w) && !keywordHits.includes(w));
+                return { ...c, score: keywordHits.length * 2 + titleHits.length, matched: [...keywordHits, ...titleHits] };
+            })
+            .filter(c => c.score >= 2)
+            .sort((a, b) => b.score - a.score || new Date(b.date) - new Date(a.date))
+            .slice(0, limit);
+
+        // Pull a couple of matching lines from each chronicle
+        for (const match of matches) {
+            try {
+                const data = await readChronicle(match.path);
+                match.excerpts = (data.messages || [])
+                    .filter(m => match.matched.some(k => String(m.text || '').toLowerCase().includes(k)))
+                    .slice(0, 2)
+                    .map(m => `${m.sender === 'user' ? 'User' : 'Assistant'}: ${String(m.text).replace(/\s+/g, ' ').substring(0, 300)}`);
+            } catch (e) {
+                match.excerpts = [];
+            }
+        }
+
+        return matches;
+    }
+
+    // Get Memory Index (scan chronicles folder)
+    ipcMain.handle('get-memory-index', async () => buildMemoryIndex());
+
+    // Full-text search across all chronicles
+    ipcMain.handle('search-chronicles', async (e, { query, from = null, to = null, limit = 50 }) => {
+        return await chronicleSearch.search(query, { from, to, limit });
+    });
+
+    // Semantic search: top-k chronicle message chunks similar to the query
+    ipcMain.handle('query-memory-vectors', async (e, { query, k = 5, excludeId = null }) => {
+        if (!query || !query.trim()) return [];
+        return await chronicleVectors.query(query, { k, excludeChronicleId: excludeId });
     });
 
+    syncChronicleVectors();
+
     // Load a specific chronicle by path
     ipcMain.handle('load-chronicle', async (e, filePath) => {
         try {
-            const data = await fs.readFile(filePath, 'utf-8');
-            return JSON.parse(data);
+            return await readChronicle(filePath);
         } catch (e) {
             throw new Error(`Cannot load chronicle: ${e.message}`);
         }
@@ -767,37 +2176,13 @@ app.whenReady().then(() => {
             cutoffDate.setDate(cutoffDate.getDate() - days);
             
             // Scan recent chronicles
-            const years = await fs.readdir(CHRONICLES_DIR).catch(() => []);
-            
-            for (const year of years) {
-                const yearPath = path.join(CHRONICLES_DIR, year);
-                const months = await fs.readdir(yearPath).catch(() => []);
-                
-                for (const month of months) {
-                    const monthPath = path.join(yearPath, month);
-                    const daysInMonth = await fs.readdir(monthPath).catch(() => []);
-                    
-                    for (const day of daysInMonth) {
-                        const dayPath = path.join(monthPath, day);
-                        const files = await fs.readdir(dayPath).catch(() => []);
-                        
-                        for (const file of files) {
-                            if (file.endsWith('.json')) {
-                                try {
-                                    const filePath = path.join(dayPath, file);
-                                    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
-                                    
-                                    if (new Date(data.date) >= cutoffDate) {
-                                        index.push({
-                                            date: data.date,
-                                            summary: data.summary,
-                                            keywords: data.keywords
-                                        });
-                                    }
-                                } catch (e) {}
-                            }
-                        }
-                    }
+            for (const entry of await buildMemoryIndex()) {
+                if (new Date(entry.date) >= cutoffDate) {
+                    index.push({
+                        date: entry.date,
+                        summary: entry.summary,
+                        keywords: entry.keywords
+                    });
                 }
             }
             
@@ -812,118 +2197,320 @@ app.whenReady().then(() => {
     });
 
     // --- IPC: Code Execution (Sandboxed) ---
-    ipcMain.handle('execute-code', async (e, { language, code }) => {
-        const lang = language.toLowerCase();
-
-        if (!ALLOWED_LANGUAGES.includes(lang)) {
-            return { success: false, output: `Language "${language}" not supported. Allowed: JavaScript, Python` };
+    // policy: { network, project: 'ro'|'rw'|'none' } overrides the configured defaults for this run
+    ipcMain.handle('execute-code', async (e, { language, code, policy }) => runCode(language, code, policy));
+
+    ipcMain.handle('sandbox-status', async () => ({
+        isolation: await codeSandbox.detect(),
+        policy: sandboxPolicy(),
+        runners: await codeRunners.available()
+    }));
+
+    // --- IPC: Kernels ---
+    // Kernels start on first run and pick up the sandbox settings then; a restart applies new settings
+    ipcMain.handle('kernel-run', async (e, { sessionId, language, code }) => {
+        try {
+            return { success: true, ...(await kernelManager.run(String(sessionId), language, code)) };
+        } catch (err) {
+            return { success: false, error: err.message };
         }
+    });
 
-        const ext = lang.startsWith('py') ? 'py' : 'js';
-        const tempFile = path.join(os.tmpdir(), `priyah_exec_${Date.now()}.${ext}`);
+    ipcMain.handle('kernel-interrupt', async (e, { sessionId, language }) => kernelManager.interrupt(String(sessionId), language));
 
+    ipcMain.handle('kernel-restart', async (e, { sessionId, language }) => {
         try {
-            await fs.writeFile(tempFile, code, 'utf-8');
+            await kernelManager.restart(String(sessionId), language);
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    });
 
-            const cmd = ext === 'py' ? `python3 "${tempFile}"` : `node "${tempFile}"`;
-            const { stdout, stderr } = await execPromise(cmd, {
-                timeout: 30000, // 30 second timeout
-                maxBuffer: 1024 * 1024 // 1MB output limit
-            });
+    ipcMain.handle('kernel-shutdown', async (e, { sessionId }) => {
+        kernelManager.shutdown(String(sessionId));
+        return true;
+    });
 
-            await fs.unlink(tempFile).catch(() => {});
+    // --- IPC: Chat Engine ---
+    ipcMain.handle('chat-message', async (event, { prompt, history, modes, memoryContext, activePresets, searchLimit = 30, streamId = null, sessionId = null }) => {
+        sendThought("Processing", "Analyzing input...");
 
-            const output = (stdout + stderr).trim() || "Execution completed (no output)";
-            return { success: true, output };
+        const controller = new AbortController();
+        const { signal } = controller;
+        if (streamId) activeGenerations.set(streamId, controller);
 
-        } catch (e) {
-            await fs.unlink(tempFile).catch(() => {});
+        let partial = '';
+        // Stored with the reply: models, search sources and created files
+        const meta = { modes: [...modes] };
 
-            if (e.killed) {
-                return { success: false, output: "Execution timed out (30s limit)" };
+        try {
+            let contextData = "";
+            // Code mode with a project works through tools (the council keeps the single-shot path)
+            const useAgent = modes.includes('code') && !!appConfig.projectPath && !modes.includes('council');
+
+            // Web Search
+            if (modes.includes('search')) {
+                const searchResults = await performRealSearch(prompt, history, searchLimit, signal);
+                if (searchResults) {
+                    contextData += `\n[WEB SEARCH RESULTS]\n${searchResults.context}\n`;
+                    meta.sources = searchResults.sources;
+                } else {
+                    contextData += `\n[WEB SEARCH] No results found.\n`;
+                }
             }
-            return { success: false, output: `Error: ${e.message}` };
-        }
-    });
 
-    // --- IPC: Chat Engine ---
-    ipcMain.handle('chat-message', async (event, { prompt, history, modes, memoryContext, activePresets, searchLimit = 30 }) => {
-        sendThought("Processing", "Analyzing input...");
-
-        let contextData = "";
+            // Project Context (the agent lists files itself)
+            if (modes.includes('code') && appConfig.projectPath && !useAgent) {
+                try {
+                    const files = await fs.readdir(appConfig.projectPath);
+                    const relevantFiles = files
+                        .filter(f => !f.startsWith('.') && f !== 'node_modules')
+                        .slice(0, 15);
+                    contextData += `\n[PROJECT FILES]: ${relevantFiles.join(', ')}`;
+                } catch (e) {}
+            }
 
-        // Web Search
-        if (modes.includes('search')) {
-            const searchResults = await performRealSearch(prompt, history, searchLimit);
-            if (searchResults) {
-                contextData += `\n[WEB SEARCH RESULTS]\n${searchResults}\n`;
-            } else {
-                contextData += `\n[WEB SEARCH] No results found.\n`;
+            // Project snippets relevant to the prompt
+            if (modes.includes('code') && appConfig.projectPath) {
+                try {
+                    if (!projectIndex.ready) sendThought("Project Index", "Indexing project files...");
+                    await projectIndex.open(appConfig.projectPath);
+                    const hits = await projectIndex.query(prompt);
+                    signal.throwIfAborted();
+                    if (hits.length > 0) {
+                        contextData += `\n[PROJECT SNIPPETS]\n` + hits.map(h =>
+                            `--- ${h.path} (lines ${h.start}-${h.end})\n${h.text}`
+                        ).join('\n\n');
+                        sendThought("Project Index", hits.map(h => `${escapeHtml(h.path)}:${h.start}-${h.end}`).join('<br>'));
+                    } else {
+                        const { files } = projectIndex.stats();
+                        sendThought("Project Index", `No matching snippets (${files} files indexed)`);
+                    }
+                } catch (e) {
+                    if (signal.aborted) throw e;
+                    sendThought("Project Index", `Unavailable: ${escapeHtml(e.message)}`);
+                }
             }
-        }
 
-        // Project Context
-        if (modes.includes('code') && appConfig.projectPath) {
-            try {
-                const files = await fs.readdir(appConfig.projectPath);
-                const relevantFiles = files
-                    .filter(f => !f.startsWith('.') && f !== 'node_modules')
-                    .slice(0, 15);
-                contextData += `\n[PROJECT FILES]: ${relevantFiles.join(', ')}`;
-            } catch (e) {}
-        }
+            // Memory Palace recall
+            if (modes.includes('memory')) {
+                const recalled = await recallChronicles(prompt, history, { excludeId: sessionId });
+                signal.throwIfAborted();
+                // Semantic matches add single messages from chronicles the keywords missed
+                let similar = [];
+                try {
+                    const recalledPaths = new Set(recalled.map(r => r.path));
+                    similar = (await chronicleVectors.query(prompt, { k: 6, excludeChronicleId: sessionId }))
+                        .filter(c => !recalledPaths.has(c.path))
+                        .slice(0, 4);
+                } catch (e) {
+                    sendThought("Recalling Memories", `Semantic index unavailable: ${escapeHtml(e.message)}`);
+                }
+                signal.throwIfAborted();
+
+                const memoryLink = (p, label) => `<a class="memory-recall-link" data-path="${escapeHtml(p)}">${escapeHtml(label || 'Untitled')}</a>`;
+                const blocks = [];
+                const listed = [];
+
+                if (recalled.length > 0) {
+                    blocks.push(`Relevant past conversations:\n` + recalled.map(r =>
+                        `- ${new Date(r.date).toLocaleDateString()} "${r.name}": ${r.summary}` +
+                        r.excerpts.map(x => `\n  > ${x}`).join('')
+                    ).join('\n'));
+                    listed.push(...recalled.map(r =>
+                        `${memoryLink(r.path, r.name)} (${new Date(r.date).toLocaleDateString()}) · ${escapeHtml(r.matched.join(', '))}`
+                    ));
+                }
+
+                if (similar.length > 0) {
+                    blocks.push(`Related past messages:\n` + similar.map(c =>
+                        `- ${new Date(c.date).toLocaleDateString()} ${c.sender === 'user' ? 'User' : 'Assistant'}: ${c.text.replace(/\s+/g, ' ').substring(0, 400)}`
+                    ).join('\n'));
+                    listed.push(...similar.map(c =>
+                        `${memoryLink(c.path, c.name)} (${new Date(c.date).toLocaleDateString()}) · similarity ${c.score.toFixed(2)}`
+                    ));
+                }
 
-        // System Prompt Construction
-        let system = `You are ${appConfig.assistantName}, an intelligent AI assistant.`;
+                if (blocks.length > 0) {
+                    memoryContext = [memoryContext, ...blocks].filter(Boolean).join('\n');
+                    sendThought("Recalling Memories", listed.join('<br>'));
+                } else {
+                    sendThought("Recalling Memories", "No related chronicles found.");
+                }
+            }
 
-        if (activePresets && activePresets.length > 0) {
-            activePresets.forEach(p => {
-                if (PRESETS[p]) system += `\n${PRESETS[p]}`;
-            });
-        }
+            // System Prompt Construction
+            let system = `You are ${appConfig.assistantName}, an intelligent AI assistant.`;
+
+            // Built-in presets and user personas share one id space
+            let personaModel = null;
+            let personaTemperature = null;
+            if (activePresets && activePresets.length > 0) {
+                activePresets.forEach(p => {
+                    if (PRESETS[p]) {
+                        system += `\n${PRESETS[p]}`;
+                        return;
+                    }
+                    const persona = userPersonas.find(u => u.id === p);
+                    if (!persona) return;
+                    system += `\n${persona.prompt}`;
+                    // First active persona with a preference wins
+                    if (!personaModel && persona.preferredModel) personaModel = parseModelRef(persona.preferredModel);
+                    if (personaTemperature == null && persona.temperature != null) personaTemperature = persona.temperature;
+                });
+            }
 
-        if (modes.includes('code')) {
-            system += `\nMODE: EXPERT CODER.
+            if (modes.includes('code')) {
+                system += `\nMODE: EXPERT CODER.
 - Write clean, well-structured code in Markdown code blocks.
-- To CREATE a file in the project, use: <FILE path="relative/path/file.ext">content</FILE>
+- Project file operations (paths relative to the project root; the user reviews every change before it is applied):
+  - Create or replace a whole file: <FILE path="relative/path/file.ext">content</FILE>
+  - Change part of a file with a unified diff: <PATCH path="file.ext">@@ -12,3 +12,4 @@ ...</PATCH>
+  - Or with exact search/replace: <EDIT path="file.ext"><SEARCH>exact old text</SEARCH><REPLACE>new text</REPLACE></EDIT>
+  - Delete a file: <DELETE path="file.ext"/>
+  - Move or rename: <MOVE from="old/path.ext" to="new/path.ext"/>
+  - Read a file before editing it: <READ path="file.ext"/> (stop after READ tags; the contents arrive in the next message)
+- Prefer PATCH or EDIT over FILE for small changes to existing files.
 - Always explain your code briefly.`;
-        }
+                if (useAgent) {
+                    system += `\n- You have tools to list, read and change project files${appConfig.agentRunCode ? ', run code' : ''} and search the web. Look at the relevant files before changing them. write_file and patch_file stage changes for the user's review, the same as the tags above.`;
+                }
+            }
 
-        const messages = [
-            {
-                role: "system",
-                content: system +
-                    (memoryContext ? `\n[MEMORY] ${memoryContext}` : '') +
-                    (contextData ? `\n[CONTEXT] ${contextData}` : '') +
-                    (modes.includes('search') ? '\nIMPORTANT: Reference URLs from [WEB SEARCH RESULTS] when relevant.' : '')
-            },
-            ...history.slice(-10).map(h => ({
-                role: h.sender === 'user' ? 'user' : 'assistant',
-                content: h.text
-            })),
-            { role: "user", content: prompt }
-        ];
+            // Token budget: the smallest window among the models that will see these messages
+            const source = personaModel?.source || appConfig.modelSource;
+            const model = personaModel?.model || defaultModelFor(source);
+            const targets = modes.includes('council')
+                ? [...getCouncilMembers(), parseModelRef(appConfig.councilModel)].filter(Boolean)
+                : [{ source, model }];
+            meta.models = targets.map(t => `${t.source}:${t.model}`);
+            const windows = await Promise.all(targets.map(t => getContextWindow(t.source, t.model)));
+            const contextWindow = Math.min(...windows);
+            const reserve = source === 'gemini' && !modes.includes('council')
+                ? Math.min(parseInt(appConfig.geminiMaxTokens) || 2048, Math.floor(contextWindow / 2))
+                : Math.min(4096, Math.floor(contextWindow / 4));
+
+            const { messages, budget } = await contextBuilder.build({
+                contextWindow,
+                reserve,
+                system,
+                instructions: modes.includes('search') ? '\nIMPORTANT: Reference URLs from [WEB SEARCH RESULTS] when relevant.' : '',
+                memory: memoryContext || '',
+                context: contextData,
+                history: history || [],
+                prompt,
+                summarize: summarizeHistory(targets[0], contextWindow, signal)
+            });
+
+            sendThought("Context Budget", contextBuilder.formatBudget(budget));
 
-        try {
             sendThought("Generating Response", "Please wait...");
-            let response = await queryAI(messages);
+
+            // Push partial tokens to the renderer as they arrive
+            const onToken = (token) => {
+                partial += token;
+                if (streamId) sendStatus('chat-token', { streamId, token });
+            };
+
+            let response;
+            if (useAgent) {
+                const native = await supportsNativeTools(source, model);
+                const agent = new CodeAgent({
+                    tools: createAgentTools(appConfig.projectPath, meta, await codeRunners.available()),
+                    maxSteps: parseInt(appConfig.agentMaxSteps) || 8,
+                    chat: async (msgs, { tools, signal }) => tools
+                        ? await queryOllamaWithTools(msgs, model, { source, tools, temperature: personaTemperature, signal })
+                        : { content: await queryAI(msgs, model, { source, temperature: personaTemperature, signal }), toolCalls: [] },
+                    onStep: (step, { tool, args, result, error }) => {
+                        const detail = error ? `Error: ${error}` : String(result ?? '');
+                        sendThought(`Agent Step ${step}: ${tool}`,
+                            `${escapeHtml(JSON.stringify(args ?? {}).substring(0, 200))}<br>` +
+                            escapeHtml(detail.length > 300 ? `${detail.substring(0, 300)}...` : detail));
+                    }
+                });
+                sendThought("Code Agent", `${native ? 'Native tool calls' : 'Text tool protocol'}, up to ${agent.maxSteps} steps`);
+                const run = await agent.run(messages, { native, budget: Math.floor(budget.free * 0.8), signal });
+                response = run.response;
+                // Steps aren't streamed; the answer arrives in one piece
+                onToken(response);
+            } else {
+                response = modes.includes('council')
+                    ? await convokeCouncil(messages, prompt, { onToken: streamId ? onToken : null, signal })
+                    : await queryAI(messages, personaModel?.model || null, {
+                        source: personaModel?.source,
+                        temperature: personaTemperature,
+                        onToken: streamId ? onToken : null,
+                        signal
+                    });
+            }
 
             if (typeof response !== 'string') {
                 response = JSON.stringify(response);
             }
 
-            // Handle file creation
+            // <READ> requests: feed the files back and let the model continue (the arbiter, in council mode)
             if (modes.includes('code') && appConfig.projectPath) {
-                response = await handleEigenOps(response, appConfig.projectPath);
+                const followUpModel = modes.includes('council')
+                    ? (parseModelRef(appConfig.councilModel) || { source, model })
+                    : { source, model };
+                let turn = response;
+                const turnMessages = [...messages];
+                let free = budget.free;
+
+                for (let round = 0; round < MAX_READ_ROUNDS; round++) {
+                    const reads = parseEigenOps(turn).filter(op => op.type === 'read').map(op => op.path);
+                    free -= estimateTokens(turn);
+                    if (reads.length === 0 || free < 512) break;
+
+                    const files = await readFilesForModel(reads, appConfig.projectPath, Math.floor(free * 0.8));
+                    free -= estimateTokens(files.text);
+                    sendThought("Eigen Reader", files.listed.join('<br>'));
+
+                    turnMessages.push(
+                        { role: 'assistant', content: turn },
+                        { role: 'user', content: `[REQUESTED FILES]\n${files.text}\n\nContinue your answer to the original request using these files.` }
+                    );
+                    onToken('\n\n');
+                    turn = await queryAI(turnMessages, followUpModel.model, {
+                        source: followUpModel.source,
+                        temperature: personaTemperature,
+                        onToken: streamId ? onToken : null,
+                        signal
+                    });
+                    response += `\n\n${turn}`;
+                }
+                response = stripReadTags(response);
+            }
+
+            // Handle file operations
+            if (modes.includes('code') && appConfig.projectPath) {
+                const eigen = await handleEigenOps(response, appConfig.projectPath);
+                response = eigen.response;
+                if (eigen.files.length > 0) meta.files = [...new Set([...(meta.files || []), ...eigen.files])];
             }
 
-            return { success: true, response };
+            return { success: true, response, meta };
 
         } catch (e) {
+            if (signal.aborted) {
+                sendThought("Interrupted", "Generation stopped by user.");
+                return { success: false, cancelled: true, response: partial, meta };
+            }
             return { success: false, response: `Error: ${e.message}` };
+        } finally {
+            if (streamId) activeGenerations.delete(streamId);
         }
     });
 
+    // Abort an in-flight chat generation (model request and any running search)
+    ipcMain.handle('cancel-chat', async (e, streamId) => {
+        const controller = activeGenerations.get(streamId);
+        if (!controller) return false;
+        controller.abort();
+        return true;
+    });
+
     // --- IPC: The Forge ---
     ipcMain.on('start-mining', (event, criteria) => {
         startVanityMiner(event, criteria);
@@ -1060,6 +2647,10 @@ app.whenReady().then(() => {
 
 app.on('window-all-closed', () => {
     stopVanityMiner();
+    projectIndex.close();
+    projectTree.close();
+    projectWatcher.close();
+    kernelManager.shutdownAll();
     if (process.platform !== 'darwin') {
         app.quit();
     }
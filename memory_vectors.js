@@ -0,0 +1,438 @@
+/**
+ * MEMORY VECTORS - Semantic Index over the Chronicles
+ * Embeds chronicle messages and answers top-k similarity queries
+ *
+ * Features:
+ * - Ollama /api/embeddings, with a hashed bag-of-words fallback when no model is available
+ * - Incremental: only new or changed chunks are embedded
+ * - Stored under CHRONICLES_DIR: meta.json (chunks) + vectors.bin (Float32); both go through the codec,
+ *   since hashed vectors can be matched back to the words they came from
+ * - Atomic writes (temp file + rename)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const INDEX_VERSION = 1;
+const LOCAL_MODEL = 'local:hash-512';
+const LOCAL_DIM = 512;
+const CHUNK_CHARS = 1000;
+const CHUNK_OVERLAP = 100;
+const MIN_CHUNK_CHARS = 12;
+
+// FNV-1a, 32-bit
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function normalize(vec) {
+    let norm = 0;
+    for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+    }
+    return vec;
+}
+
+/**
+ * Local fallback embedding: signed feature hashing of words and word pairs
+ */
+export function hashEmbedding(text, dim = LOCAL_DIM) {
+    const vec = new Float32Array(dim);
+    const words = String(text || '').toLowerCase().split(/\W+/).filter(w => w.length > 1);
+    const counts = new Map();
+
+    words.forEach((w, i) => {
+        counts.set(w, (counts.get(w) || 0) + 1);
+        if (i > 0) {
+            const pair = `${words[i - 1]} ${w}`;
+            counts.set(pair, (counts.get(pair) || 0) + 0.5);
+        }
+    });
+
+    for (const [term, count] of counts) {
+        const h = fnv1a(term);
+        const sign = (h & 0x80000000) ? -1 : 1;
+        vec[h % dim] += sign * (1 + Math.log(count));
+    }
+
+    return normalize(vec);
+}
+
+/**
+ * Split a message into overlapping chunks
+ */
+export function chunkText(text) {
+    const clean = String(text || '').trim();
+    if (clean.length < MIN_CHUNK_CHARS) return [];
+    if (clean.length <= CHUNK_CHARS) return [clean];
+
+    const chunks = [];
+    for (let start = 0; start < clean.length; start += CHUNK_CHARS - CHUNK_OVERLAP) {
+        chunks.push(clean.substring(start, start + CHUNK_CHARS));
+        if (start + CHUNK_CHARS >= clean.length) break;
+    }
+    return chunks;
+}
+
+/**
+ * Chronicle Vector Index
+ */
+export class ChronicleVectorIndex {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory for meta.json / vectors.bin
+     * @param {Function} options.getEmbeddingConfig - () => ({ host, model, headers })
+     * @param {Function} options.readChronicle - async (path) => parsed chronicle
+     * @param {Object} options.codec - { encode, decode } for meta.json and vectors.bin
+     */
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.getEmbeddingConfig = options.getEmbeddingConfig || (() => ({}));
+        this.readChronicle = options.readChronicle || (async (p) => JSON.parse(await fs.readFile(p, 'utf-8')));
+        this.codec = options.codec || { encode: t => t, decode: t => t };
+        this.metaFile = path.join(this.dir, 'meta.json');
+        this.vectorFile = path.join(this.dir, 'vectors.bin');
+
+        this.model = null;
+        this.dim = 0;
+        this.files = {};   // chronicle path -> { mtimeMs, size }
+        this.chunks = [];  // { key, hash, chronicleId, path, date, name, sender, messageIndex, text }
+        this.vectors = []; // Float32Array per chunk, same order as chunks
+
+        this.loaded = false;
+        this.upgradeProbed = false;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Serialize index mutations so concurrent saves can't interleave
+     */
+    enqueue(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        if (this.loaded) return;
+
+        let raw = null;
+        try {
+            raw = await fs.readFile(this.metaFile, 'utf-8');
+        } catch (e) {
+            // No index yet
+        }
+        // Locked vault: stay unloaded rather than mistaking the index for empty
+        const text = raw === null ? null : this.codec.decode(raw);
+        this.loaded = true;
+        if (text === null) return;
+
+        try {
+            const meta = JSON.parse(text);
+            if (meta.version !== INDEX_VERSION) return;
+
+            const buf = await this.readVectors();
+            const all = new Float32Array(buf.buffer, buf.byteOffset, Math.floor(buf.byteLength / 4));
+            if (all.length !== meta.chunks.length * meta.dim) return;
+
+            this.model = meta.model;
+            this.dim = meta.dim;
+            this.files = meta.files || {};
+            this.chunks = meta.chunks;
+            this.vectors = meta.chunks.map((_, i) => all.slice(i * meta.dim, (i + 1) * meta.dim));
+
+            // An encrypted index with plaintext vectors (written before they went through the codec)
+            if (raw !== text && !buf.sealed) await this.persist();
+        } catch (e) {
+            // Unreadable index - start fresh
+        }
+    }
+
+    /**
+     * vectors.bin: raw Float32 bytes, or the codec's text wrapping them as base64
+     */
+    async readVectors() {
+        const buf = await fs.readFile(this.vectorFile);
+        const asText = buf.toString('utf-8');
+        const decoded = this.codec.decode(asText);
+        if (decoded === asText) return buf;
+        // A fresh copy, so the Float32Array view starts on an aligned offset
+        const bytes = new Uint8Array(Buffer.from(decoded, 'base64'));
+        bytes.sealed = true;
+        return bytes;
+    }
+
+    encodeVectors(bytes) {
+        // The codec passes text through unchanged when there is nothing to encrypt; keep raw bytes then
+        if (this.codec.encode('') === '') return bytes;
+        return this.codec.encode(bytes.toString('base64'));
+    }
+
+    /**
+     * Drop the in-memory index (vault lock); it is reloaded on next use
+     */
+    unload() {
+        return this.enqueue(async () => {
+            this.loaded = false;
+            this.model = null;
+            this.dim = 0;
+            this.files = {};
+            this.chunks = [];
+            this.vectors = [];
+        });
+    }
+
+    /**
+     * Rewrite meta.json and vectors.bin through the codec (vault enabled, disabled or re-keyed)
+     */
+    recode() {
+        return this.enqueue(async () => {
+            await this.load();
+            if (this.model) await this.persist();
+        });
+    }
+
+    async persist() {
+        await fs.mkdir(this.dir, { recursive: true });
+
+        const all = new Float32Array(this.chunks.length * this.dim);
+        this.vectors.forEach((v, i) => all.set(v, i * this.dim));
+
+        const meta = {
+            version: INDEX_VERSION,
+            model: this.model,
+            dim: this.dim,
+            updated: new Date().toISOString(),
+            files: this.files,
+            chunks: this.chunks
+        };
+
+        // Write both to temp files first so a crash never leaves a half-written index
+        const tmpVectors = `${this.vectorFile}.tmp`;
+        const tmpMeta = `${this.metaFile}.tmp`;
+        await fs.writeFile(tmpVectors, this.encodeVectors(Buffer.from(all.buffer)));
+        await fs.writeFile(tmpMeta, this.codec.encode(JSON.stringify(meta)));
+        await fs.rename(tmpVectors, this.vectorFile);
+        await fs.rename(tmpMeta, this.metaFile);
+    }
+
+    /**
+     * Embed one text with the index's model. Returns a normalized Float32Array.
+     */
+    async embed(text, model = this.model) {
+        if (!model || model === LOCAL_MODEL) return hashEmbedding(text);
+
+        const { host, headers = {} } = this.getEmbeddingConfig();
+        if (!host) throw new Error('Embedding host not configured');
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 30000);
+
+        try {
+            const res = await fetch(`${host}/api/embeddings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                signal: controller.signal,
+                body: JSON.stringify({ model: model.replace(/^ollama:/, ''), prompt: text })
+            });
+            if (!res.ok) throw new Error(`Embedding Error (${res.status})`);
+            const data = await res.json();
+            if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+                throw new Error('Embedding model returned no vector');
+            }
+            return normalize(Float32Array.from(data.embedding));
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Pick the model for an empty index: the configured Ollama model if it answers, else the local fallback
+     */
+    async chooseModel() {
+        const { model } = this.getEmbeddingConfig();
+        if (model) {
+            try {
+                const probe = await this.embed('probe', `ollama:${model}`);
+                return { model: `ollama:${model}`, dim: probe.length };
+            } catch (e) {
+                // Ollama unavailable or model not pulled
+            }
+        }
+        return { model: LOCAL_MODEL, dim: LOCAL_DIM };
+    }
+
+    /**
+     * Start over when the configured embedding model changes.
+     * A fallback index retries the configured model once per run, not on every save.
+     */
+    async ensureModel() {
+        const { model } = this.getEmbeddingConfig();
+        const wanted = model ? `ollama:${model}` : LOCAL_MODEL;
+        if (this.model === wanted) return;
+        if (this.model === LOCAL_MODEL && this.upgradeProbed) return;
+
+        const chosen = await this.chooseModel();
+        if (chosen.model === LOCAL_MODEL) this.upgradeProbed = true;
+        if (chosen.model === this.model) return;
+
+        this.model = chosen.model;
+        this.dim = chosen.dim;
+        this.files = {};
+        this.chunks = [];
+        this.vectors = [];
+    }
+
+    /**
+     * Index (or re-index) one chronicle. Unchanged chunks keep their vectors.
+     */
+    indexChronicle(filePath, chronicle, stat = null) {
+        return this.enqueue(async () => {
+            await this.load();
+            await this.ensureModel();
+            await this.indexChronicleUnlocked(filePath, chronicle, stat);
+            await this.persist();
+        });
+    }
+
+    async indexChronicleUnlocked(filePath, chronicle, stat = null) {
+        const existing = new Map();
+        this.chunks.forEach((c, i) => {
+            if (c.path === filePath) existing.set(`${c.key}|${c.hash}`, i);
+        });
+
+        const fresh = [];
+        (chronicle.messages || []).forEach((msg, messageIndex) => {
+            chunkText(msg.text).forEach((text, chunkIndex) => {
+                fresh.push({
+                    key: `${messageIndex}:${chunkIndex}`,
+                    hash: fnv1a(text).toString(16),
+                    chronicleId: chronicle.id,
+                    path: filePath,
+                    date: chronicle.date,
+                    name: chronicle.name,
+                    sender: msg.sender,
+                    messageIndex,
+                    text
+                });
+            });
+        });
+
+        const vectors = [];
+        for (const chunk of fresh) {
+            const idx = existing.get(`${chunk.key}|${chunk.hash}`);
+            // Throws when the embedding backend is down; the file stays unindexed and is retried on next sync
+            vectors.push(idx !== undefined ? this.vectors[idx] : await this.embed(chunk.text));
+        }
+
+        // Replace this chronicle's chunks
+        const keepChunks = [];
+        const keepVectors = [];
+        this.chunks.forEach((c, i) => {
+            if (c.path !== filePath) {
+                keepChunks.push(c);
+                keepVectors.push(this.vectors[i]);
+            }
+        });
+        this.chunks = keepChunks.concat(fresh);
+        this.vectors = keepVectors.concat(vectors);
+
+        if (!stat) stat = await fs.stat(filePath).catch(() => null);
+        this.files[filePath] = stat ? { mtimeMs: stat.mtimeMs, size: stat.size } : {};
+    }
+
+    /**
+     * Forget a deleted chronicle
+     */
+    removeChronicle(filePath) {
+        return this.enqueue(async () => {
+            await this.load();
+            if (!this.files[filePath] && !this.chunks.some(c => c.path === filePath)) return;
+
+            const keep = this.chunks.map((c, i) => c.path !== filePath ? i : -1).filter(i => i >= 0);
+            this.chunks = keep.map(i => this.chunks[i]);
+            this.vectors = keep.map(i => this.vectors[i]);
+            delete this.files[filePath];
+            await this.persist();
+        });
+    }
+
+    /**
+     * Bring the index in line with the chronicle files on disk
+     * @param {string[]} filePaths - All chronicle files
+     */
+    sync(filePaths) {
+        return this.enqueue(async () => {
+            await this.load();
+            await this.ensureModel();
+
+            const present = new Set(filePaths);
+            let changed = false;
+
+            // Forget deleted chronicles
+            for (const known of Object.keys(this.files)) {
+                if (!present.has(known)) {
+                    delete this.files[known];
+                    changed = true;
+                }
+            }
+            if (changed) {
+                const keep = this.chunks.map((c, i) => present.has(c.path) ? i : -1).filter(i => i >= 0);
+                this.chunks = keep.map(i => this.chunks[i]);
+                this.vectors = keep.map(i => this.vectors[i]);
+            }
+
+            for (const filePath of filePaths) {
+                try {
+                    const stat = await fs.stat(filePath);
+                    const known = this.files[filePath];
+                    if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) continue;
+
+                    const chronicle = await this.readChronicle(filePath);
+                    await this.indexChronicleUnlocked(filePath, chronicle, stat);
+                    changed = true;
+                } catch (e) {
+                    // Unreadable file or embedding failure - try again next sync
+                }
+            }
+
+            if (changed) await this.persist();
+            return { model: this.model, chunks: this.chunks.length, files: Object.keys(this.files).length };
+        });
+    }
+
+    /**
+     * Top-k chunks most similar to the query text
+     */
+    async query(text, { k = 5, excludeChronicleId = null, minScore = 0.2 } = {}) {
+        await this.queue;
+        await this.load();
+        if (this.chunks.length === 0) return [];
+
+        const q = await this.embed(text);
+        if (q.length !== this.dim) return [];
+
+        const scored = [];
+        for (let i = 0; i < this.chunks.length; i++) {
+            const chunk = this.chunks[i];
+            if (excludeChronicleId != null && String(chunk.chronicleId) === String(excludeChronicleId)) continue;
+
+            const v = this.vectors[i];
+            let score = 0;
+            for (let d = 0; d < v.length; d++) score += v[d] * q[d];
+            if (score >= minScore) scored.push({ score, i });
+        }
+
+        scored.sort((a, b) => b.score - a.score);
+        return scored.slice(0, k).map(({ score, i }) => ({ ...this.chunks[i], score: Number(score.toFixed(4)) }));
+    }
+}
+
+export default ChronicleVectorIndex;
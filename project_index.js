@@ -0,0 +1,346 @@
+/**
+ * PROJECT INDEX - Retrieval over the Code Mode Project
+ * Keyword index of source chunks for the configured project folder
+ *
+ * Features:
+ * - Skips what .gitignore skips, hidden and build folders, binary files and very large files
+ * - Files are split into overlapping line windows, so every hit cites a path and line range
+ * - BM25 ranking over identifier-aware tokens (camelCase and snake_case are split); path matches count too
+ * - Kept current by the shared ProjectWatcher, explicit updates (editor saves) and a stat sweep when watching fails
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadGitIgnore, toRelative } from './gitignore.js';
+
+const SKIP_DIRS = ['__pycache__', 'dist', 'build', 'coverage', 'vendor', 'target'];
+const MAX_FILES = 5000;
+const MAX_FILE_BYTES = 256 * 1024;
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 8;
+const MAX_HITS_PER_FILE = 2;
+const SWEEP_INTERVAL_MS = 30000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'that', 'this', 'with', 'from', 'what', 'how', 'why', 'where', 'which',
+    'are', 'was', 'can', 'you', 'does', 'not', 'but', 'have', 'has', 'into', 'when', 'then',
+    'all', 'any', 'its', 'use', 'get', 'set', 'new', 'let', 'var', 'const', 'return'
+]);
+
+/**
+ * Search terms: words plus the parts of camelCase / snake_case identifiers
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const word of String(text || '').match(/[A-Za-z_][A-Za-z0-9_]*|\d{2,}/g) || []) {
+        const lower = word.toLowerCase();
+        if (lower.length > 2 && !STOP_WORDS.has(lower)) tokens.push(lower);
+
+        const parts = word
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .split(/[\s_]+/);
+        if (parts.length > 1) {
+            for (const part of parts) {
+                const p = part.toLowerCase();
+                if (p.length > 2 && !STOP_WORDS.has(p) && p !== lower) tokens.push(p);
+            }
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Overlapping line windows: [{ start, end, text }] with 1-based inclusive line numbers
+ */
+export function chunkLines(text) {
+    const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+    const chunks = [];
+    for (let start = 0; start < lines.length; start += CHUNK_LINES - CHUNK_OVERLAP) {
+        const slice = lines.slice(start, start + CHUNK_LINES);
+        if (slice.join('').trim()) {
+            chunks.push({ start: start + 1, end: start + slice.length, text: slice.join('\n') });
+        }
+        if (start + CHUNK_LINES >= lines.length) break;
+    }
+    return chunks;
+}
+
+function looksBinary(buffer) {
+    const sample = buffer.subarray(0, 8000);
+    return sample.includes(0);
+}
+
+/**
+ * Project Index
+ */
+export class ProjectIndex {
+    /**
+     * @param {Object} options
+     * @param {ProjectWatcher} options.watcher - Shared with the file tree
+     */
+    constructor(options = {}) {
+        this.watcher = options.watcher;
+        this.root = null;
+        this.ignore = null;
+        this.lastSweep = 0;
+        this.queue = Promise.resolve();
+        this.reset();
+        this.watcher.subscribe((change) => this.changed(change));
+    }
+
+    reset() {
+        this.files = new Map();    // relPath -> { mtimeMs, size, chunkIds }
+        this.chunks = new Map();   // id -> { path, start, end, text, tf: Map, length }
+        this.postings = new Map(); // token -> Set of chunk ids
+        this.totalLength = 0;
+        this.nextId = 1;
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task, task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Index a project folder (no-op when it's already the open one) and start watching it
+     */
+    open(root) {
+        const resolved = path.resolve(root);
+        if (this.root === resolved) return this.queue;
+        this.close();
+        this.root = resolved;
+        this.watcher.open(resolved);
+
+        return this.enqueue(() => this.rebuild());
+    }
+
+    close() {
+        this.root = null;
+        this.ignore = null;
+        this.reset();
+    }
+
+    get ready() {
+        return !!this.root && !!this.ignore;
+    }
+
+    stats() {
+        return { root: this.root, files: this.files.size, chunks: this.chunks.size, watching: this.watching };
+    }
+
+    get watching() {
+        return !!this.root && this.watcher.watching(this.root);
+    }
+
+    isSkipped(relPath, isDir) {
+        const parts = relPath.split('/');
+        if (parts.some(p => p.startsWith('.'))) return true;
+        if (isDir && SKIP_DIRS.includes(parts[parts.length - 1])) return true;
+        return this.ignore.ignores(relPath, isDir);
+    }
+
+    async rebuild() {
+        this.reset();
+        this.ignore = await loadGitIgnore(this.root);
+        for (const relPath of await this.listFiles()) {
+            await this.indexFile(relPath);
+        }
+        this.lastSweep = Date.now();
+    }
+
+    async listFiles() {
+        const found = [];
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.readdir(path.join(this.root, dir), { withFileTypes: true });
+            } catch (e) {
+                return;
+            }
+            for (const entry of entries) {
+                if (found.length >= MAX_FILES) return;
+                const rel = dir ? `${dir}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    if (!this.isSkipped(rel, true)) await walk(rel);
+                } else if (entry.isFile() && !this.isSkipped(rel, false)) {
+                    found.push(rel);
+                }
+            }
+        };
+        await walk('');
+        return found;
+    }
+
+    removeFileUnlocked(relPath) {
+        const entry = this.files.get(relPath);
+        if (!entry) return;
+        for (const id of entry.chunkIds) {
+            const chunk = this.chunks.get(id);
+            for (const token of chunk.tf.keys()) {
+                const set = this.postings.get(token);
+                set.delete(id);
+                if (set.size === 0) this.postings.delete(token);
+            }
+            this.totalLength -= chunk.length;
+            this.chunks.delete(id);
+        }
+        this.files.delete(relPath);
+    }
+
+    /**
+     * (Re)index one file; removes it when it's gone, ignored, binary or too large
+     */
+    async indexFile(relPath, stat = null) {
+        this.removeFileUnlocked(relPath);
+        if (this.isSkipped(relPath, false)) return;
+
+        const fullPath = path.join(this.root, relPath);
+        let content;
+        try {
+            stat = stat || await fs.stat(fullPath);
+            if (!stat.isFile() || stat.size > MAX_FILE_BYTES) return;
+            const buffer = await fs.readFile(fullPath);
+            if (looksBinary(buffer)) return;
+            content = buffer.toString('utf-8');
+        } catch (e) {
+            return;
+        }
+
+        const pathTokens = tokenize(relPath.replace(/[/.\-]/g, ' '));
+        const chunkIds = [];
+        for (const chunk of chunkLines(content)) {
+            const tokens = [...tokenize(chunk.text), ...pathTokens];
+            const tf = new Map();
+            tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+
+            const id = this.nextId++;
+            this.chunks.set(id, { path: relPath, start: chunk.start, end: chunk.end, text: chunk.text, tf, length: tokens.length });
+            this.totalLength += tokens.length;
+            for (const token of tf.keys()) {
+                if (!this.postings.has(token)) this.postings.set(token, new Set());
+                this.postings.get(token).add(id);
+            }
+            chunkIds.push(id);
+        }
+        this.files.set(relPath, { mtimeMs: stat.mtimeMs, size: stat.size, chunkIds });
+    }
+
+    /**
+     * Re-index a file after it was written or deleted (full path, e.g. from save-file-content)
+     */
+    updateFile(fullPath) {
+        if (!this.root) return Promise.resolve();
+        const relPath = toRelative(this.root, fullPath);
+        if (relPath.startsWith('..') || path.isAbsolute(relPath)) return Promise.resolve();
+        return this.enqueue(() => this.applyChange(relPath));
+    }
+
+    async applyChange(relPath) {
+        if (!this.ready) return;
+        if (path.posix.basename(relPath) === '.gitignore') {
+            await this.rebuild();
+            return;
+        }
+
+        let stat = null;
+        try {
+            stat = await fs.stat(path.join(this.root, relPath));
+        } catch (e) {
+            // Deleted: drop the file, or everything under a deleted folder
+            const prefix = `${relPath}/`;
+            for (const known of [...this.files.keys()]) {
+                if (known === relPath || known.startsWith(prefix)) this.removeFileUnlocked(known);
+            }
+            return;
+        }
+
+        if (stat.isDirectory()) {
+            // A folder appeared (created, moved in): pick up what's inside
+            if (this.isSkipped(relPath, true)) return;
+            for (const file of await this.listFiles()) {
+                if (file.startsWith(`${relPath}/`) && !this.files.has(file)) await this.indexFile(file);
+            }
+            return;
+        }
+
+        const known = this.files.get(relPath);
+        if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) return;
+        if (!known && this.files.size >= MAX_FILES) return;
+        await this.indexFile(relPath, stat);
+    }
+
+    changed({ root, paths, all }) {
+        if (root !== this.root) return;
+        // Something changed without saying what: compare everything on the next query
+        if (all) this.lastSweep = 0;
+        if (paths.length === 0) return;
+        this.enqueue(async () => {
+            for (const relPath of paths) await this.applyChange(relPath);
+        });
+    }
+
+    /**
+     * Compare every file's mtime/size against the index (when there's no watcher)
+     */
+    sweep() {
+        return this.enqueue(async () => {
+            if (!this.ready) return;
+            const present = new Set(await this.listFiles());
+            for (const known of [...this.files.keys()]) {
+                if (!present.has(known)) this.removeFileUnlocked(known);
+            }
+            for (const relPath of present) await this.applyChange(relPath);
+            this.lastSweep = Date.now();
+        });
+    }
+
+    /**
+     * Chunks most relevant to a prompt
+     * @returns {Promise<Array>} { path, start, end, text, score }
+     */
+    async query(text, { k = 6 } = {}) {
+        if (!this.root) return [];
+        if ((!this.watching || this.lastSweep === 0) && Date.now() - this.lastSweep > SWEEP_INTERVAL_MS) {
+            await this.sweep();
+        }
+        await this.queue;
+
+        const terms = [...new Set(tokenize(text))];
+        const n = this.chunks.size;
+        if (terms.length === 0 || n === 0) return [];
+        const avgLength = this.totalLength / n;
+
+        const scores = new Map();
+        for (const term of terms) {
+            const ids = this.postings.get(term);
+            if (!ids) continue;
+            const idf = Math.log(1 + (n - ids.size + 0.5) / (ids.size + 0.5));
+            for (const id of ids) {
+                const chunk = this.chunks.get(id);
+                const tf = chunk.tf.get(term);
+                const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / avgLength));
+                scores.set(id, (scores.get(id) || 0) + score);
+            }
+        }
+
+        const perFile = new Map();
+        const hits = [];
+        for (const [id, score] of [...scores].sort((a, b) => b[1] - a[1])) {
+            const chunk = this.chunks.get(id);
+            const count = perFile.get(chunk.path) || 0;
+            if (count >= MAX_HITS_PER_FILE) continue;
+            perFile.set(chunk.path, count + 1);
+            hits.push({ path: chunk.path, start: chunk.start, end: chunk.end, text: chunk.text, score: Number(score.toFixed(3)) });
+            if (hits.length >= k) break;
+        }
+        return hits;
+    }
+}
+
+export default ProjectIndex;
@@ -0,0 +1,108 @@
+/**
+ * PROJECT TREE - The Code Panel's View of the Project Folder
+ * Lists folders one level at a time and reports changes on disk
+ *
+ * Features:
+ * - Honours .gitignore (nested ones too); .git and node_modules are never shown
+ * - Lazy: the panel asks for a folder's entries when it is expanded
+ * - The shared ProjectWatcher reports which folders changed; its rules (reloaded on a .gitignore edit) are used here too
+ * - walk() gives a nested listing a few levels deep (the agent's list_files tool)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { toRelative } from './gitignore.js';
+
+const MAX_ENTRIES = 2000;
+
+/**
+ * Project Tree
+ */
+export class ProjectTree {
+    /**
+     * @param {Object} options
+     * @param {ProjectWatcher} options.watcher - Shared with the project index
+     * @param {Function} options.onChange - ({ dirs }) folders (relative, '' = root) whose entries changed;
+     *                                      dirs is null when everything should be reloaded
+     */
+    constructor(options = {}) {
+        this.watcher = options.watcher;
+        this.onChange = options.onChange || (() => {});
+        this.root = null;
+        this.loading = null;
+        this.watcher.subscribe((change) => this.changed(change));
+    }
+
+    get ignore() {
+        return this.watcher.ignore;
+    }
+
+    /**
+     * Start serving (and watching) a project folder; no-op when it's already open
+     */
+    open(root) {
+        this.root = path.resolve(root);
+        this.loading = this.watcher.open(this.root);
+        return this.loading;
+    }
+
+    close() {
+        this.root = null;
+        this.loading = null;
+    }
+
+    /**
+     * Entries of one folder, folders first
+     * @param {string} relDir - Relative to the root ('' = root)
+     * @returns {Promise<Array>} { name, path (full), type: 'directory'|'file' }
+     */
+    async list(relDir = '') {
+        await this.loading;
+        const dir = path.join(this.root, relDir);
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+
+        return entries
+            .filter(entry => entry.isDirectory() || entry.isFile() || entry.isSymbolicLink())
+            .filter(entry => !this.ignore.ignores(relDir ? `${relDir}/${entry.name}` : entry.name, entry.isDirectory()))
+            .sort((a, b) => {
+                if (a.isDirectory() !== b.isDirectory()) return a.isDirectory() ? -1 : 1;
+                return a.name.localeCompare(b.name);
+            })
+            .slice(0, MAX_ENTRIES)
+            .map(entry => ({
+                name: entry.name,
+                path: path.join(dir, entry.name),
+                type: entry.isDirectory() ? 'directory' : 'file'
+            }));
+    }
+
+    /**
+     * Nested listing
+     * @param {string} relDir - Where to start ('' = root)
+     * @param {number} levels - Folder levels to descend (1 = just this folder)
+     */
+    async walk(relDir = '', levels = 2) {
+        const nodes = await this.list(relDir).catch(() => []);
+        if (levels > 1) {
+            for (const node of nodes) {
+                if (node.type === 'directory') node.children = await this.walk(toRelative(this.root, node.path), levels - 1);
+            }
+        }
+        return nodes;
+    }
+
+    changed({ root, paths, all }) {
+        if (root !== this.root) return;
+        if (all) {
+            this.onChange({ dirs: null });
+            return;
+        }
+        const dirs = new Set(paths.map(rel => {
+            const parent = path.posix.dirname(rel);
+            return parent === '.' ? '' : parent;
+        }));
+        this.onChange({ dirs: [...dirs] });
+    }
+}
+
+export default ProjectTree;
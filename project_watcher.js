@@ -0,0 +1,187 @@
+/**
+ * PROJECT WATCHER - One Watch on the Project Folder
+ * Tells the file tree and the project index what changed on disk
+ *
+ * Features:
+ * - A plain fs.watch per folder that isn't ignored: .gitignore'd folders, .git and node_modules are never
+ *   watched (a recursive watch stats every file under the root on Linux, ignored ones included)
+ * - Folders that appear are watched, folders that go away are dropped; a .gitignore edit re-reads the rules
+ * - Changes are debounced and handed to every subscriber in one batch
+ * - Past MAX_WATCHED_DIRS folders, or when the system refuses, it stops and says so (subscribers fall back)
+ */
+
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import { loadGitIgnore } from './gitignore.js';
+
+const WATCH_DEBOUNCE_MS = 250;
+const MAX_WATCHED_DIRS = 4000;
+
+/**
+ * Project Watcher
+ */
+export class ProjectWatcher {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onError - (message) when watching stops
+     */
+    constructor(options = {}) {
+        this.onError = options.onError || (() => {});
+        this.root = null;
+        this.ignore = null;
+        this.loading = null;
+        this.failed = false;
+        this.dirs = new Map(); // relDir ('' = root) -> FSWatcher
+        this.listeners = new Set();
+        this.pendingPaths = new Set();
+        this.unknown = false;
+        this.flushTimer = null;
+    }
+
+    /**
+     * @param {Function} listener - ({ root, paths, all }) paths (relative, forward slashes) that changed;
+     *                              all is true when anything may have changed (rules reloaded, unnamed event)
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Is this folder being watched (so subscribers needn't poll it)?
+     */
+    watching(root) {
+        return !!this.root && this.root === path.resolve(root) && !this.failed;
+    }
+
+    /**
+     * Start watching a project folder; no-op when it's already the open one
+     * @returns {Promise} Resolves once the rules are loaded and every folder is watched
+     */
+    open(root) {
+        const resolved = path.resolve(root);
+        if (this.root === resolved) return this.loading;
+        this.close();
+        this.root = resolved;
+        this.loading = loadGitIgnore(resolved).then(async (ignore) => {
+            if (this.root !== resolved) return;
+            this.ignore = ignore;
+            await this.addDir('');
+        });
+        return this.loading;
+    }
+
+    close() {
+        for (const watcher of this.dirs.values()) watcher.close();
+        this.dirs.clear();
+        clearTimeout(this.flushTimer);
+        this.pendingPaths.clear();
+        this.unknown = false;
+        this.failed = false;
+        this.root = null;
+        this.ignore = null;
+        this.loading = null;
+    }
+
+    /**
+     * Watch a folder (unless it already is) and every folder under it that isn't ignored
+     */
+    async addDir(relDir) {
+        const root = this.root;
+        if (this.failed) return;
+        if (!this.dirs.has(relDir)) {
+            if (this.dirs.size >= MAX_WATCHED_DIRS) {
+                this.fail(`it has more than ${MAX_WATCHED_DIRS} folders`);
+                return;
+            }
+            try {
+                const watcher = fsSync.watch(path.join(root, relDir), (event, filename) => this.record(relDir, filename));
+                // Its folder was deleted or moved; the parent's event drops it
+                watcher.on('error', () => this.removeDir(relDir));
+                this.dirs.set(relDir, watcher);
+            } catch (e) {
+                // Gone already; anything else (e.g. out of inotify watches) means the folder can't be followed
+                if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') this.fail(e.message);
+                return;
+            }
+        }
+
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(root, relDir), { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+        for (const entry of entries) {
+            if (this.root !== root) return;
+            const rel = relDir ? `${relDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory() && !this.ignore.ignores(rel, true)) await this.addDir(rel);
+        }
+    }
+
+    /**
+     * Stop watching a folder and everything under it
+     */
+    removeDir(relDir) {
+        for (const [rel, watcher] of this.dirs) {
+            if (rel === relDir || rel.startsWith(`${relDir}/`) || relDir === '') {
+                watcher.close();
+                this.dirs.delete(rel);
+            }
+        }
+    }
+
+    fail(reason) {
+        this.failed = true;
+        for (const watcher of this.dirs.values()) watcher.close();
+        this.dirs.clear();
+        this.onError(`Not watching the project (${reason}); use Refresh in the code panel`);
+    }
+
+    record(relDir, filename) {
+        if (!this.root) return;
+        if (!filename) {
+            this.unknown = true;
+        } else {
+            const rel = relDir ? `${relDir}/${filename}` : filename.toString();
+            if (path.posix.basename(rel) !== '.gitignore' && this.ignore.ignores(rel)) return;
+            this.pendingPaths.add(rel);
+        }
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), WATCH_DEBOUNCE_MS);
+    }
+
+    async flush() {
+        const root = this.root;
+        const paths = [...this.pendingPaths];
+        let all = this.unknown;
+        this.pendingPaths.clear();
+        this.unknown = false;
+
+        if (paths.some(p => path.posix.basename(p) === '.gitignore')) {
+            const ignore = await loadGitIgnore(root);
+            if (this.root !== root) return;
+            this.ignore = ignore;
+            for (const rel of [...this.dirs.keys()]) {
+                if (rel && ignore.ignores(rel, true)) this.removeDir(rel);
+            }
+            await this.addDir('');
+            all = true;
+        }
+
+        // Follow folders that appeared, were moved or were deleted
+        for (const rel of paths) {
+            const stat = await fs.stat(path.join(root, rel)).catch(() => null);
+            if (this.root !== root) return;
+            if (!stat) this.removeDir(rel);
+            else if (stat.isDirectory() && !this.dirs.has(rel) && !this.ignore.ignores(rel, true)) await this.addDir(rel);
+        }
+
+        if (paths.length === 0 && !all) return;
+        for (const listener of this.listeners) listener({ root, paths, all });
+    }
+}
+
+export default ProjectWatcher;
@@ -566,7 +566,7 @@ export class TruthSeeker {
      * Step 1: Fetch search results with PAGINATION
      * Fetches multiple pages until limit reached or no more pages
      */
-    async fetchCandidates(query, limit = 50) {
+    async fetchCandidates(query, limit = 50, signal = null) {
         this.onStep('fetch', `Searching: "${query}" (limit: ${limit})...`);
         
         const allCandidates = [];
@@ -576,6 +576,7 @@ export class TruthSeeker {
         
         try {
             while (allCandidates.length < limit && pagesFetched < 5) { // Max 5 pages
+                signal?.throwIfAborted();
                 pagesFetched++;
                 
                 // Build URL with params
@@ -586,6 +587,7 @@ export class TruthSeeker {
                 
                 const response = await fetch(url, {
                     method: 'GET',
+                    signal,
                     headers: {
                         'User-Agent': getRandomUserAgent(),
                         'Accept': 'text/html,application/xhtml+xml',
@@ -627,6 +629,7 @@ export class TruthSeeker {
             return { candidates: allCandidates, pagesFetched };
             
         } catch (e) {
+            if (signal?.aborted) throw e;
             this.onStep('fetch', `Search failed: ${e.message}`);
             return { candidates: allCandidates, pagesFetched };
         }
@@ -634,11 +637,13 @@ export class TruthSeeker {
     
     /**
      * Process items in chunks with concurrency control
+     * Stops between chunks if the signal is aborted
      */
-    async processInChunks(items, processor, chunkSize = 8) {
+    async processInChunks(items, processor, chunkSize = 8, signal = null) {
         const results = [];
         
         for (let i = 0; i < items.length; i += chunkSize) {
+            signal?.throwIfAborted();
             const chunk = items.slice(i, i + chunkSize);
             const chunkResults = await Promise.all(chunk.map(processor));
             results.push(...chunkResults);
@@ -732,13 +737,15 @@ export class TruthSeeker {
     
     /**
      * Full search pipeline with pagination, pre-scoring, and concurrency control
+     * Pass options.signal (AbortSignal) to cancel the pipeline between stages
      */
     async search(query, options = {}) {
         const limit = options.candidateLimit || options.limit || 50;
         const scrapeLimit = options.scrapeLimit || Math.min(15, Math.ceil(limit / 4));
+        const signal = options.signal || null;
         
         // Step 1: Fetch candidates with pagination
-        const { candidates, pagesFetched } = await this.fetchCandidates(query, limit);
+        const { candidates, pagesFetched } = await this.fetchCandidates(query, limit, signal);
         
         if (candidates.length === 0) {
             return { 
@@ -767,7 +774,8 @@ export class TruthSeeker {
                 
                 return { ...candidate, status: 'live', liveness, security };
             },
-            this.concurrencyLimit
+            this.concurrencyLimit,
+            signal
         );
         
         // Filter to live & safe results
@@ -798,6 +806,7 @@ export class TruthSeeker {
         
         const analyzed = [];
         for (const candidate of topCandidates) {
+            signal?.throwIfAborted();
             const content = await this.scrapeContent(candidate.url);
             
             if (content && content.content.length > 100) {
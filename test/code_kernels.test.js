@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CodeSandbox, resolvePolicy } from '../code_sandbox.js';
+import { KernelManager } from '../code_kernels.js';
+
+const manager = new KernelManager({ sandbox: new CodeSandbox(), getPolicy: () => resolvePolicy() });
+const run = async (code) => {
+    const res = await manager.run('test', 'javascript', code);
+    assert.equal(res.error, null, res.error);
+    return res.result?.text;
+};
+
+test.after(() => manager.shutdownAll());
+
+test('template literals and strings are not rewritten', async () => {
+    assert.equal(await run('const s = `x\nlet me know\nconst y = 1\n`; s'), "'x\\nlet me know\\nconst y = 1\\n'");
+    assert.equal(await run('await null\nconst t = `a\nlet b\n`\nt'), "'a\\nlet b\\n'");
+    assert.equal(await run('"let x = 1".length'), '9');
+});
+
+test('let and const cells can be run again', async () => {
+    await run('let a = 1\nconst b = 2');
+    await run('let a = 3\nconst b = 4\nclass K {}');
+    await run('class K { m() { return 5 } }');
+    assert.equal(await run('[a, b, new K().m()]'), '[ 3, 4, 5 ]');
+});
+
+test('declarations in a cell with top-level await outlive it', async () => {
+    await run('const a = 6; await null');
+    assert.equal(await run('a'), '6');
+
+    await run([
+        'let { x, y: z = 2 } = await Promise.resolve({ x: 1 }), [p, ...q] = [7, 8, 9]',
+        'const s = "a,b = c" // comment',
+        'function f() { return a + x }',
+        'class C { m() { return 1 } }',
+        'var v'
+    ].join('\n'));
+    assert.equal(await run('[x, z, p, q, s, f(), new C().m(), typeof v]'), "[ 1, 2, 7, [ 8, 9 ], 'a,b = c', 7, 1, 'undefined' ]");
+    assert.equal(await run('const t = await 3\nt + 1'), '4');
+    assert.equal(await run('t'), '3');
+});
+
+test('stopping a kernel that is still starting leaves nothing running', async () => {
+    const starting = manager.run('stopped', 'javascript', '1');
+    manager.shutdown('stopped');
+    await assert.rejects(starting);
+    assert.equal(manager.starting.size, 0);
+    assert.equal(manager.list('stopped').find(k => k.language === 'javascript').status, 'off');
+});
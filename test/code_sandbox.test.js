@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CodeSandbox, resolvePolicy } from '../code_sandbox.js';
+
+const exists = (p) => fs.access(p).then(() => true, () => false);
+
+// A shell job in a fresh scratch dir, next to a project folder and a folder that is neither
+async function shell(sandbox, script, policy) {
+    const base = await fs.mkdtemp(path.join(os.tmpdir(), 'priyah_test_'));
+    const dirs = { scratch: path.join(base, 'scratch'), project: path.join(base, 'project'), outside: path.join(base, 'outside') };
+    await Promise.all(Object.values(dirs).map(dir => fs.mkdir(dir)));
+    const result = await sandbox.exec(
+        { exe: '/bin/sh', args: ['-c', script(dirs)], version: '', kind: 'other' },
+        { scratch: dirs.scratch, projectPath: dirs.project, policy: resolvePolicy(policy) }
+    );
+    return { result, dirs, cleanup: () => fs.rm(base, { recursive: true, force: true }) };
+}
+
+test('only the scratch dir is writable in a namespace sandbox', async (t) => {
+    const sandbox = new CodeSandbox();
+    const level = await sandbox.detect();
+    if (level === 'restricted') return t.skip('no namespace isolation on this machine');
+
+    const { result, dirs, cleanup } = await shell(sandbox,
+        ({ outside }) => `echo x > "${outside}/escape"; echo x > "$PROJECT_DIR/edit"; echo x > ./inside`,
+        { project: 'ro' });
+    try {
+        assert.equal(result.level, level);
+        assert.equal(await exists(path.join(dirs.outside, 'escape')), false);
+        assert.equal(await exists(path.join(dirs.project, 'edit')), false);
+        assert.equal(await exists(path.join(dirs.scratch, 'inside')), true);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('a read-write project is writable, the rest still is not', async (t) => {
+    const sandbox = new CodeSandbox();
+    const level = await sandbox.detect();
+    if (level === 'restricted') return t.skip('no namespace isolation on this machine');
+
+    const { dirs, cleanup } = await shell(sandbox,
+        ({ outside }) => `echo x > "${outside}/escape"; echo x > "$PROJECT_DIR/edit"`,
+        { project: 'rw' });
+    try {
+        assert.equal(await exists(path.join(dirs.outside, 'escape')), false);
+        assert.equal(await exists(path.join(dirs.project, 'edit')), true);
+    } finally {
+        await cleanup();
+    }
+});
+
+test('jobs Node cannot confine are reported as unconfined without namespaces', async () => {
+    const sandbox = new CodeSandbox();
+    sandbox.levelPromise = Promise.resolve('restricted');
+    sandbox.tools = { bwrap: null, unshare: null, prlimit: null };
+    const options = { scratch: os.tmpdir(), projectPath: null, policy: resolvePolicy() };
+
+    const shellJob = await sandbox.prepare({ exe: '/bin/sh', args: [], version: '', kind: 'other' }, options);
+    const nodeJob = await sandbox.prepare({ exe: process.execPath, args: [], version: 'v20.19.0', kind: 'node' }, options);
+    assert.equal(shellJob.level, 'unconfined');
+    assert.equal(nodeJob.level, 'restricted');
+});
@@ -0,0 +1,227 @@
+/**
+ * THE VAULT - Optional Encryption at Rest
+ * Passphrase-protected AES-256-GCM for chronicles, legacy memory and config secrets
+ *
+ * Layout:
+ * - A random 32-byte data key encrypts the files ({ vault, iv, authTag, data }, hex - as VanityForge.encrypt)
+ * - The data key is wrapped with a key derived from the passphrase (scrypt, per-vault salt)
+ * - Re-keying re-wraps the data key, so changing the passphrase is a single atomic write
+ * - Plaintext files pass through decode(), so enabling/disabling can convert files one by one
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import util from 'util';
+
+const scrypt = util.promisify(crypto.scrypt);
+const VAULT_VERSION = 1;
+
+function lockedError() {
+    const err = new Error('Vault is locked');
+    err.code = 'VAULT_LOCKED';
+    return err;
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+
+    let encrypted = cipher.update(plaintext, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return {
+        vault: VAULT_VERSION,
+        iv: iv.toString('hex'),
+        authTag: cipher.getAuthTag().toString('hex'),
+        data: encrypted
+    };
+}
+
+function open(key, envelope) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(envelope.authTag, 'hex'));
+
+    let decrypted = decipher.update(envelope.data, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+}
+
+async function deriveKey(passphrase, saltHex) {
+    return await scrypt(String(passphrase), Buffer.from(saltHex, 'hex'), 32);
+}
+
+/**
+ * Vault
+ */
+export class Vault {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Vault descriptor (salt + wrapped data key)
+     * @param {Function} options.onLock - Called after the vault locks (idle or manual)
+     */
+    constructor(options = {}) {
+        this.file = options.file;
+        this.onLock = options.onLock || (() => {});
+
+        this.meta = null;     // { version, salt, wrappedKey }
+        this.key = null;      // Data key (Buffer) while unlocked
+        this.disabling = false;
+
+        this.idleMs = 0;
+        this.idleTimer = null;
+    }
+
+    get enabled() {
+        return !!this.meta && !this.disabling;
+    }
+
+    get isLocked() {
+        return !!this.meta && !this.key;
+    }
+
+    async init() {
+        try {
+            const meta = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+            if (meta.version === VAULT_VERSION && meta.salt && meta.wrappedKey) this.meta = meta;
+        } catch (e) {
+            // No vault configured
+        }
+    }
+
+    async writeMeta(meta) {
+        const tmp = `${this.file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(meta, null, 2));
+        await fs.rename(tmp, this.file);
+        this.meta = meta;
+    }
+
+    async wrap(passphrase, dataKey) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const kek = await deriveKey(passphrase, salt);
+        return {
+            version: VAULT_VERSION,
+            kdf: 'scrypt',
+            salt,
+            wrappedKey: seal(kek, dataKey.toString('hex'))
+        };
+    }
+
+    async unwrap(passphrase) {
+        if (!this.meta) throw new Error('Vault is not enabled');
+        const kek = await deriveKey(passphrase, this.meta.salt);
+        try {
+            return Buffer.from(open(kek, this.meta.wrappedKey), 'hex');
+        } catch (e) {
+            throw new Error('Wrong passphrase');
+        }
+    }
+
+    /**
+     * Turn the vault on. Files are converted by the caller afterwards.
+     */
+    async create(passphrase) {
+        if (this.meta) throw new Error('Vault is already enabled');
+        if (!passphrase || String(passphrase).length < 8) {
+            throw new Error('Passphrase must be at least 8 characters');
+        }
+
+        const dataKey = crypto.randomBytes(32);
+        await this.writeMeta(await this.wrap(passphrase, dataKey));
+        this.key = dataKey;
+        this.touch();
+    }
+
+    async unlock(passphrase) {
+        this.key = await this.unwrap(passphrase);
+        this.touch();
+    }
+
+    lock() {
+        if (!this.key) return;
+        this.key.fill(0);
+        this.key = null;
+        clearTimeout(this.idleTimer);
+        this.onLock();
+    }
+
+    /**
+     * Change the passphrase (re-wraps the data key)
+     */
+    async rekey(current, next) {
+        if (!next || String(next).length < 8) {
+            throw new Error('Passphrase must be at least 8 characters');
+        }
+        const dataKey = await this.unwrap(current);
+        await this.writeMeta(await this.wrap(next, dataKey));
+        this.key = dataKey;
+        this.touch();
+    }
+
+    /**
+     * Start turning the vault off: encode() writes plaintext from here on,
+     * decode() still opens encrypted files until finishDisable()
+     */
+    async beginDisable(passphrase) {
+        this.key = await this.unwrap(passphrase);
+        this.disabling = true;
+        clearTimeout(this.idleTimer);
+    }
+
+    cancelDisable() {
+        this.disabling = false;
+        this.touch();
+    }
+
+    async finishDisable() {
+        await fs.unlink(this.file).catch(() => {});
+        this.meta = null;
+        this.disabling = false;
+        if (this.key) this.key.fill(0);
+        this.key = null;
+    }
+
+    /**
+     * Lock after this many minutes without activity (0 = never)
+     */
+    setIdleMinutes(minutes) {
+        this.idleMs = Math.max(0, Number(minutes) || 0) * 60000;
+        this.touch();
+    }
+
+    touch() {
+        clearTimeout(this.idleTimer);
+        if (!this.key || !this.idleMs || this.disabling) return;
+        this.idleTimer = setTimeout(() => this.lock(), this.idleMs);
+    }
+
+    isEnvelope(text) {
+        // seal() puts "vault" first, so plaintext JSON is rejected without parsing it
+        if (typeof text !== 'string' || !text.startsWith('{"vault":')) return false;
+        try {
+            const obj = JSON.parse(text);
+            return obj && obj.vault === VAULT_VERSION && !!obj.iv && !!obj.authTag && typeof obj.data === 'string';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Text to store on disk (encrypted when the vault is on)
+     */
+    encode(text) {
+        if (!this.enabled) return text;
+        if (!this.key) throw lockedError();
+        return JSON.stringify(seal(this.key, text));
+    }
+
+    /**
+     * Text read from disk (plaintext passes through)
+     */
+    decode(text) {
+        if (!this.isEnvelope(text)) return text;
+        if (!this.key) throw lockedError();
+        return open(this.key, JSON.parse(text));
+    }
+}
+
+export default Vault;